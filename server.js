@@ -1,9 +1,28 @@
 // server.js
-// ONLY change in this version: phoneForSpeech() now returns digit-by-digit speech.
-// Everything else unchanged from the provided file.
-
+// Nice Line voice intake bot: Twilio media streams in, OpenAI realtime transcription, a JSON-defined call flow
+// (flows/) that collects the lead, TTS replies, and lead_final delivery to the CRM webhook through an outbox.
+// Also serves outbound campaigns and the admin API.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
 const express = require("express");
 const WebSocket = require("ws");
+const {
+  normalizeText,
+  HEBREW_NUMBER_WORDS,
+  numberWordsFromLocale,
+  parseSpokenDigits,
+  spokenPhoneCandidate,
+} = require("./spoken-digits");
+const {
+  HEBREW_REPLY_WORDS,
+  replyWordsFromLocale,
+  detectYesNo,
+  refusalEndsCall,
+  detectIntentHeuristic,
+} = require("./utterances");
 
 const app = express();
 app.use(express.json({ limit: "2mb" }));
@@ -15,13 +34,74 @@ const PORT = process.env.PORT || 10000;
 const ENV = {
   MAKE_WEBHOOK_URL: process.env.MAKE_WEBHOOK_URL || "",
 
+  MB_ADMIN_TOKEN: process.env.MB_ADMIN_TOKEN || "",
+
+  // e.g. "sun-thu 08:30-19:00, fri 08:30-13:00" in TIME_ZONE; empty = always open
+  MB_BUSINESS_HOURS: process.env.MB_BUSINESS_HOURS || "",
+  MB_AFTER_HOURS_FLOW: process.env.MB_AFTER_HOURS_FLOW || "",
+  MB_AFTER_HOURS_MP3_URL: process.env.MB_AFTER_HOURS_MP3_URL || "",
+  MB_AFTER_HOURS_TEXT: process.env.MB_AFTER_HOURS_TEXT || "",
+  MB_TWIML_SAY_LANGUAGE: process.env.MB_TWIML_SAY_LANGUAGE || "he-IL",
+
+  // E.164 number, or "queue:<name>" for a TaskRouter/Twilio queue; empty disables live transfer
+  MB_TRANSFER_TO: process.env.MB_TRANSFER_TO || "",
+  MB_TRANSFER_CALLER_ID: process.env.MB_TRANSFER_CALLER_ID || "",
+  MB_TRANSFER_FINAL_WAIT_MS: Number(process.env.MB_TRANSFER_FINAL_WAIT_MS || "120000"),
+  MB_TRANSFER_HOURS: process.env.MB_TRANSFER_HOURS || "",
+  MB_TRANSFER_TIMEOUT_S: Number(process.env.MB_TRANSFER_TIMEOUT_S || "25"),
+
   MB_ALLOW_BARGE_IN: String(process.env.MB_ALLOW_BARGE_IN || "false").toLowerCase() === "true",
   MB_CLOSING_TEXT: process.env.MB_CLOSING_TEXT || "",
   MB_OPENING_TEXT: process.env.MB_OPENING_TEXT || "",
+  MB_OPENING_MP3_URL: process.env.MB_OPENING_MP3_URL || "",
   MB_CONVERSATION_PROMPT: process.env.MB_CONVERSATION_PROMPT || "",
 
   MB_DEBUG: String(process.env.MB_DEBUG || "false").toLowerCase() === "true",
+  MB_FALLBACK_TIMEOUT_MS: Number(process.env.MB_FALLBACK_TIMEOUT_MS || "4000"),
+
+  // "heuristic" (keyword rules) or "llm" (OpenAI, heuristic on failure)
+  MB_INTENT_MODE: String(process.env.MB_INTENT_MODE || "heuristic").toLowerCase(),
+  MB_INTENT_TIMEOUT_MS: Number(process.env.MB_INTENT_TIMEOUT_MS || "1500"),
+  MB_MAX_OFFSCRIPT: Number(process.env.MB_MAX_OFFSCRIPT || "3"),
+
+  MB_KB_ANSWER_MODE: String(process.env.MB_KB_ANSWER_MODE || "direct").toLowerCase(),
+  MB_KB_DIR: process.env.MB_KB_DIR || path.join(__dirname, "kb"),
+  MB_KB_MIN_SCORE: Number(process.env.MB_KB_MIN_SCORE || "0.5"),
+  MB_KB_RELOAD_MS: Number(process.env.MB_KB_RELOAD_MS || "10000"),
+  // used when a remark was not recognised as a question but the step could not parse it either
+  MB_KB_STRICT_SCORE: Number(process.env.MB_KB_STRICT_SCORE || "0.75"),
   MB_ENABLE_RECORDING: String(process.env.MB_ENABLE_RECORDING || "false").toLowerCase() === "true",
+  // ask before recording (flow "recording.consentStep"); false = record from the start without asking
+  MB_RECORDING_CONSENT: String(process.env.MB_RECORDING_CONSENT || "true").toLowerCase() === "true",
+
+  MB_CALLBACK_DEFAULT_HOUR: Number(process.env.MB_CALLBACK_DEFAULT_HOUR || "10"),
+  MB_CALL_DB_PATH: process.env.MB_CALL_DB_PATH || path.join(__dirname, "data", "calls.db"),
+  MB_CALL_STORE: String(process.env.MB_CALL_STORE || "sqlite").toLowerCase(),
+  MB_CRM_MAX_ATTEMPTS: Number(process.env.MB_CRM_MAX_ATTEMPTS || "8"),
+  MB_CRM_RETRY_BASE_MS: Number(process.env.MB_CRM_RETRY_BASE_MS || "15000"),
+  MB_CRM_RETRY_MAX_MS: Number(process.env.MB_CRM_RETRY_MAX_MS || "3600000"),
+  MB_CRM_RETRY_TICK_MS: Number(process.env.MB_CRM_RETRY_TICK_MS || "5000"),
+  // GET <url>?phone=<local number> -> { first_name, last_name, call_sid } for callers not in the local store
+  MB_CRM_LOOKUP_URL: process.env.MB_CRM_LOOKUP_URL || "",
+  MB_CRM_LOOKUP_AUTH: process.env.MB_CRM_LOOKUP_AUTH || "",
+  MB_CRM_LOOKUP_TIMEOUT_MS: Number(process.env.MB_CRM_LOOKUP_TIMEOUT_MS || "1500"),
+  MB_CAMPAIGN_CALLER_ID: process.env.MB_CAMPAIGN_CALLER_ID || "",
+  // calling hours for campaigns without their own "hours" (same format as MB_BUSINESS_HOURS, in TIME_ZONE)
+  MB_CAMPAIGN_HOURS: process.env.MB_CAMPAIGN_HOURS || "sun-thu 09:00-20:00,fri 09:00-13:00",
+  MB_CAMPAIGN_TICK_MS: Number(process.env.MB_CAMPAIGN_TICK_MS || "2000"),
+  MB_CAMPAIGN_RING_TIMEOUT_S: Number(process.env.MB_CAMPAIGN_RING_TIMEOUT_S || "25"),
+  MB_CAMPAIGN_DNC_ON_REFUSAL: String(process.env.MB_CAMPAIGN_DNC_ON_REFUSAL || "true").toLowerCase() === "true",
+  MB_OUTBOUND_OPENING_TEXT: process.env.MB_OUTBOUND_OPENING_TEXT || "שלום, חוזרים אליכם בעקבות הפנייה שהשארתם אצלנו.",
+  // Twilio answering machine detection on campaign calls: "DetectMessageEnd", "Enable" or "off"
+  MB_AMD_MODE: process.env.MB_AMD_MODE || "DetectMessageEnd",
+  MB_AMD_HEURISTIC: String(process.env.MB_AMD_HEURISTIC || "true").toLowerCase() === "true",
+  MB_AMD_GREETING_MS: Number(process.env.MB_AMD_GREETING_MS || "3000"),
+  MB_VOICEMAIL_TEXT:
+    process.env.MB_VOICEMAIL_TEXT || "שלום, חזרנו אליכם בעקבות הפנייה שהשארתם אצלנו. ננסה להשיג אתכם שוב בהמשך. יום טוב.",
+  MB_RECOGNIZE_RETURNING: String(process.env.MB_RECOGNIZE_RETURNING || "true").toLowerCase() === "true",
+  MB_CATALOGS_DIR: process.env.MB_CATALOGS_DIR || path.join(__dirname, "catalogs"),
+  MB_FLOW_ID: process.env.MB_FLOW_ID || "default",
+  MB_FLOWS_DIR: process.env.MB_FLOWS_DIR || path.join(__dirname, "flows"),
 
   MB_HANGUP_GRACE_MS: Number(process.env.MB_HANGUP_GRACE_MS || "4500"),
   MB_IDLE_HANGUP_MS: Number(process.env.MB_IDLE_HANGUP_MS || "55000"),
@@ -33,10 +113,29 @@ const ENV = {
 
   MB_MAX_CALL_MS: Number(process.env.MB_MAX_CALL_MS || "240000"),
   MB_MAX_WARN_BEFORE_MS: Number(process.env.MB_MAX_WARN_BEFORE_MS || "30000"),
+  MB_PHONE_DEFAULT_COUNTRY: process.env.MB_PHONE_DEFAULT_COUNTRY || "IL",
+  MB_PHONE_COUNTRIES: process.env.MB_PHONE_COUNTRIES || "",
+  MB_PHONE_ALLOW_UNLISTED: String(process.env.MB_PHONE_ALLOW_UNLISTED || "true").toLowerCase() === "true",
+  MB_PHONE_REJECT_TYPES: process.env.MB_PHONE_REJECT_TYPES || "premium",
+  // silence after a partial phone number before it counts as a failed attempt
+  MB_PHONE_CHUNK_WAIT_MS: Number(process.env.MB_PHONE_CHUNK_WAIT_MS || "5000"),
+  // keypad entry on a "keypad": "digits" step ends with "#" or after this long without a key
+  MB_DTMF_TIMEOUT_MS: Number(process.env.MB_DTMF_TIMEOUT_MS || "4000"),
   MB_NO_BARGE_TAIL_MS: Number(process.env.MB_NO_BARGE_TAIL_MS || "1600"),
 
   MB_SPEECH_SPEED: Number(process.env.MB_SPEECH_SPEED || "0.95"),
   MB_STT_LANGUAGE: process.env.MB_STT_LANGUAGE || "he",
+  // languages a call may switch to besides Hebrew (ids of MB_LOCALES_DIR/<id>.json), e.g. "he,ar,ru,en"
+  MB_LANGUAGES: process.env.MB_LANGUAGES || "he",
+  MB_LOCALES_DIR: process.env.MB_LOCALES_DIR || path.join(__dirname, "locales"),
+  // after the opening, read each other language's "menu" line ("For English, press 2")
+  MB_LANGUAGE_MENU: String(process.env.MB_LANGUAGE_MENU || "false").toLowerCase() === "true",
+
+  // first = primary; the rest are failovers (elevenlabs | openai | clips)
+  MB_TTS_PROVIDERS: process.env.MB_TTS_PROVIDERS || "elevenlabs,openai,clips",
+  MB_TTS_CLIPS_DIR: process.env.MB_TTS_CLIPS_DIR || path.join(__dirname, "clips"),
+  MB_TTS_CACHE_DIR: process.env.MB_TTS_CACHE_DIR ?? path.join(__dirname, "data", "tts-cache"),
+  MB_TTS_WARMUP: String(process.env.MB_TTS_WARMUP || "true").toLowerCase() === "true",
 
   MB_VAD_PREFIX_MS: Number(process.env.MB_VAD_PREFIX_MS || "200"),
   MB_VAD_SILENCE_MS: Number(process.env.MB_VAD_SILENCE_MS || "900"),
@@ -45,12 +144,21 @@ const ENV = {
 
   OPENAI_API_KEY: process.env.OPENAI_API_KEY || "",
   OPENAI_VOICE: process.env.OPENAI_VOICE || "cedar",
+  OPENAI_TEXT_MODEL: process.env.OPENAI_TEXT_MODEL || "gpt-4.1-mini",
+  OPENAI_TTS_MODEL: process.env.OPENAI_TTS_MODEL || "gpt-4o-mini-tts",
+  OPENAI_TTS_VOICE: process.env.OPENAI_TTS_VOICE || "",
   PENAI_REALTIME_MODEL: process.env.PENAI_REALTIME_MODEL || "gpt-realtime-2025-08-28",
 
   PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || "",
 
+  // signs the recording_public_url links sent to the CRM; falls back to TWILIO_AUTH_TOKEN when unset
+  RECORDING_URL_SECRET: process.env.RECORDING_URL_SECRET || "",
+  RECORDING_URL_TTL_MS: Number(process.env.RECORDING_URL_TTL_MS || String(30 * 24 * 60 * 60 * 1000)),
+
   TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || "",
   TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || "",
+  // keep on in production; set to false only for local testing without real Twilio requests
+  TWILIO_VALIDATE_SIGNATURE: String(process.env.TWILIO_VALIDATE_SIGNATURE || "true").toLowerCase() === "true",
   TIME_ZONE: process.env.TIME_ZONE || "Asia/Jerusalem",
 
   // ElevenLabs
@@ -66,6 +174,21 @@ const ENV = {
 
 const TWILIO_CLOSING_MP3_URL = "https://toolbox-hummingbird-8667.twil.io/assets/closing.mp3";
 
+// fixed lines spoken outside the flow definitions (flow prompts live in flows/*.json)
+const PROMPTS = {
+  idleWarning: "אפשר לענות רגע?",
+  maxCallWarning: "עוד רגע מסיימים.",
+  refusalBye: "בסדר. תודה ויום נעים.",
+  offscriptDefault: "את זה נציג יוכל להסביר כשיחזור אליכם.",
+  humanLater: "נציג יחזור אליכם בהקדם ויענה על הכל. רק נשלים כמה פרטים.",
+  transferring: "אני מעביר אתכם לנציג, רגע אחד.",
+  transferFailed: "לא הצלחתי להעביר כרגע. נשלים כמה פרטים ונציג יחזור אליכם.",
+  agentsClosed: "הנציגים שלנו לא זמינים כרגע.",
+  phoneStartOver: "בסדר, מתחילים מההתחלה. מה המספר?",
+  transferNoAnswer: "הנציגים תפוסים כרגע. הפרטים שלכם נרשמו ונחזור אליכם בהקדם. יום טוב.",
+  closing: ENV.MB_CLOSING_TEXT || "תודה רבה, הפרטים נרשמו. נציג המרכז יחזור אליכם בהקדם. יום טוב.",
+};
+
 function logInfo(...args) {
   console.log("[INFO]", ...args);
 }
@@ -81,68 +204,242 @@ function safeStr(s) {
 function digitsOnly(s) {
   return (s || "").toString().replace(/[^\d]/g, "");
 }
-function normalizeText(s) {
-  return (s || "")
-    .toString()
-    .replace(/[^\p{L}\p{N}\s]/gu, " ")
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
+
+// -------------------- Phone validation --------------------
+// Numbers are matched against per-country rules on the national significant number (NSN, without country code
+// or trunk "0"). IL is built in; MB_PHONE_COUNTRIES adds or overrides countries with the same shape, e.g.
+// {"GB":{"cc":"44","trunk":"0","types":[{"type":"mobile","re":"^7\\d{9}$"},{"type":"landline","re":"^[123]\\d{8,9}$"}]}}
+// Numbers from the default country keep their local form ("0521234567", "1800123456"); others are E.164.
+const BUILTIN_PHONE_COUNTRIES = {
+  IL: {
+    cc: "972",
+    trunk: "0",
+    types: [
+      { type: "mobile", re: "^5\\d{8}$" },
+      { type: "voip", re: "^7[2-9]\\d{7}$" },
+      { type: "landline", re: "^[23489]\\d{7}$" },
+      { type: "tollfree", re: "^1800\\d{6}$", noTrunk: true },
+      { type: "shared_cost", re: "^1700\\d{6}$", noTrunk: true },
+      { type: "premium", re: "^19\\d{8}$", noTrunk: true },
+    ],
+  },
+};
+
+function loadPhoneCountries() {
+  let extra = {};
+  if (ENV.MB_PHONE_COUNTRIES) {
+    try {
+      extra = JSON.parse(ENV.MB_PHONE_COUNTRIES);
+    } catch (e) {
+      logError("MB_PHONE_COUNTRIES is not valid JSON, ignored", String(e?.message || e));
+    }
+  }
+
+  const out = new Map();
+  for (const [code, spec] of Object.entries({ ...BUILTIN_PHONE_COUNTRIES, ...extra })) {
+    const cc = digitsOnly(spec?.cc);
+    if (!cc) {
+      logError("Phone country without cc, skipped", { code });
+      continue;
+    }
+    const types = [];
+    for (const t of Array.isArray(spec.types) ? spec.types : []) {
+      try {
+        types.push({ type: safeStr(t.type) || "unknown", re: new RegExp(t.re), noTrunk: !!t.noTrunk });
+      } catch (e) {
+        logError("Phone country rule skipped", { code, type: t?.type, error: String(e?.message || e) });
+      }
+    }
+    out.set(code.toUpperCase(), { code: code.toUpperCase(), cc, trunk: safeStr(spec.trunk), types });
+  }
+  return out;
 }
 
-// ✅ IL validation
-function isValidILPhoneDigits(d) {
-  const x = digitsOnly(d);
-  if (x.length === 10 && x.startsWith("05")) return true; // mobile
-  if (x.length === 9 && /^0[234789]/.test(x)) return true; // landline
-  return false;
+const PHONE_COUNTRIES = loadPhoneCountries();
+const PHONE_REJECT_TYPES = new Set(ENV.MB_PHONE_REJECT_TYPES.split(",").map((x) => safeStr(x)).filter(Boolean));
+
+// -> { ok, e164, local, country, type, reason }
+function classifyPhone(input, defaultCountry = ENV.MB_PHONE_DEFAULT_COUNTRY) {
+  const raw = safeStr(input);
+  let d = digitsOnly(raw);
+  let intl = raw.startsWith("+");
+  if (d.startsWith("00")) {
+    d = d.slice(2);
+    intl = true;
+  }
+  if (!d) return { ok: false, reason: "empty" };
+
+  const home = PHONE_COUNTRIES.get(safeStr(defaultCountry).toUpperCase());
+  let country = null;
+  let nsn = d;
+  if (intl || (home && d.startsWith(home.cc) && d.length >= home.cc.length + 8)) {
+    // longest country code first ("1" must not shadow "1876")
+    country = [...PHONE_COUNTRIES.values()].sort((a, b) => b.cc.length - a.cc.length).find((c) => d.startsWith(c.cc)) || null;
+    if (country) nsn = d.slice(country.cc.length);
+    else intl = true;
+  } else {
+    country = home || null;
+  }
+
+  if (!country) {
+    if (!intl || d.length < 8 || d.length > 15) return { ok: false, reason: "unknown_country" };
+    if (!ENV.MB_PHONE_ALLOW_UNLISTED) return { ok: false, reason: "country_not_allowed" };
+    return { ok: true, e164: `+${d}`, local: `+${d}`, country: "", type: "unknown" };
+  }
+
+  if (country.trunk && nsn.startsWith(country.trunk)) nsn = nsn.slice(country.trunk.length); // "+972 (0)52..."
+  const rule = country.types.find((t) => t.re.test(nsn));
+  if (!rule) return { ok: false, reason: "invalid_number", country: country.code };
+  if (PHONE_REJECT_TYPES.has(rule.type)) return { ok: false, reason: `rejected_${rule.type}`, country: country.code, type: rule.type };
+
+  const e164 = `+${country.cc}${nsn}`;
+  const local = country === home ? (rule.noTrunk ? "" : country.trunk) + nsn : e164;
+  return { ok: true, e164, local, country: country.code, type: rule.type };
+}
+
+function isValidPhone(d) {
+  return classifyPhone(d).ok;
 }
 
 // ✅ speak phone
-function phoneForSpeech(d) {
+function phoneForSpeech(d, locale = HEBREW_LOCALE) {
   // ONLY CHANGE: digit-by-digit to avoid missing digits in TTS
   const x = digitsOnly(d);
-  return x ? x.split("").join(" ") : "";
+  if (!x) return "";
+  return (safeStr(d).startsWith("+") ? `${locale.plus} ` : "") + x.split("").join(" ");
+}
+
+function cleanHebrewName(raw) {
+  return (raw || "")
+    .toString()
+    .replace(/[0-9]/g, " ")
+    .replace(/[^\p{L}\p{M}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const NAME_TRASH = new Set(["הלו","שלום","היי","כן","לא","אוקיי","אוקי","בסדר","נו","דבר","תמשיך","קדימה","יאללה"]);
+
+// "קוראים לי דני כהן", "דני מדבר" — the name is what is left around these
+const NAME_INTRO_PREFIXES = ["השם שלי הוא", "השם שלי", "קוראים לי", "שמי הוא", "שמי", "אני", "זה", "כאן", "מדבר", "מדברת"];
+const NAME_INTRO_SUFFIXES = ["מדבר", "מדברת", "כאן", "פה"];
+// words that do not appear in names: a sentence containing one of them is not a name
+const NAME_STOPWORDS = new Set([
+  "אני", "אתה", "את", "אתם", "הוא", "היא", "אנחנו", "לי", "לך", "לכם", "שלי", "שלכם", "של", "על", "עם", "לגבי", "בקשר",
+  "מה", "מי", "איך", "כמה", "למה", "מתי", "איפה", "האם", "אם", "גם", "רק", "עוד", "כבר", "אבל", "כי", "אז", "זה", "זו",
+  "רוצה", "רציתי", "צריך", "צריכה", "יכול", "יכולה", "אפשר", "מתעניין", "מתעניינת", "מעוניין", "מעוניינת", "לשאול",
+  "לדעת", "להירשם", "ללמוד", "לומד", "לומדת", "יודע", "יודעת", "שומע", "שומעת", "תגיד", "תגידי", "התקשרתי", "מתקשר",
+  "מתקשרת", "חושב", "חושבת", "מבין", "מבינה", "רגע", "שנייה", "תודה", "בבקשה", "סליחה", "קורס", "לימודים", "מסלול",
+  "הנדסאי", "שאלה", "מחיר", "טלפון", "מספר", "בוט", "נציג", "שם", "השם",
+]);
+
+function stripNameIntro(words, locale = HEBREW_LOCALE) {
+  let w = words.slice();
+  let intro = false;
+  for (const p of locale.nameIntro) {
+    const pw = p.split(" ");
+    if (w.length > pw.length && pw.every((x, i) => normalizeText(w[i]) === x)) {
+      w = w.slice(pw.length);
+      intro = true;
+      break;
+    }
+  }
+  if (w.length > 1 && locale.nameIntroSuffixes.includes(normalizeText(w[w.length - 1]))) {
+    w = w.slice(0, -1);
+    intro = true;
+  }
+  return { words: w, intro };
+}
+
+// 0..1: how much the utterance looks like "first last" rather than a stray phrase
+function nameConfidence(parts, intro) {
+  let c = 0.6;
+  if (intro) c += 0.2;
+  if (parts.length === 2) c += 0.15;
+  else if (parts.length > 2) c -= 0.1 * (parts.length - 2);
+  if (parts.some((p) => p.length < 2)) c -= 0.3;
+  return Math.round(Math.max(0.1, Math.min(0.95, c)) * 100) / 100;
 }
 
-function detectYesNo(s) {
-  const raw = safeStr(s);
+function parseName(text, locale = HEBREW_LOCALE) {
+  const raw = cleanHebrewName(text);
   if (!raw) return null;
   const t = normalizeText(raw);
   if (!t) return null;
-  const tokens = t.split(" ").filter(Boolean);
+  const trash = locale.nameTrash;
+  if (trash.has(t)) return null;
+
+  const words = raw.split(" ").filter(Boolean);
+  while (words.length > 1 && trash.has(normalizeText(words[0]))) words.shift(); // "הלו, שלום, אני דני"
+  const { words: parts, intro } = stripNameIntro(words, locale);
+  if (parts.length === 0) return null;
+  if (parts.length > 4) return null;
+  if (parts.some((p) => locale.nameStopwords.has(normalizeText(p)) || trash.has(normalizeText(p)))) return null;
+
+  const first = parts[0];
+  const last = parts.slice(1).join(" ");
+  return { first, last, full: [first, last].filter(Boolean).join(" "), confidence: nameConfidence(parts, intro) };
+}
 
-  const YES_SET = new Set(["כן", "בטח", "בסדר", "אוקיי", "אוקי", "ok", "okay", "yes", "נכון", "מאשר", "מאשרת", "סבבה", "יאללה"]);
-  const hasYes = tokens.some((w) => YES_SET.has(w));
-  const hasNo = tokens.some((w) => w === "לא" || w === "no");
+// Spelled names: "דלת, נון, הא, רווח, כף, הא, נון" -> "דנה כהן". Final letter forms are applied per word.
+const HEB_LETTER_NAMES = new Map([
+  ["אלף", "א"], ["בית", "ב"], ["בת", "ב"], ["וית", "ב"], ["גימל", "ג"], ["ג׳ימל", "ג"], ["דלת", "ד"], ["דלד", "ד"],
+  ["הא", "ה"], ["הי", "ה"], ["הה", "ה"], ["וו", "ו"], ["ואו", "ו"], ["ויו", "ו"], ["זין", "ז"], ["זיין", "ז"],
+  ["חית", "ח"], ["חת", "ח"], ["טית", "ט"], ["טת", "ט"], ["יוד", "י"], ["יוּד", "י"], ["כף", "כ"], ["חף", "כ"],
+  ["למד", "ל"], ["למ״ד", "ל"], ["מם", "מ"], ["מים", "מ"], ["נון", "נ"], ["סמך", "ס"], ["סמח", "ס"], ["עין", "ע"],
+  ["עיין", "ע"], ["פא", "פ"], ["פה", "פ"], ["פי", "פ"], ["צדי", "צ"], ["צדיק", "צ"], ["קוף", "ק"], ["ריש", "ר"],
+  ["שין", "ש"], ["סין", "ש"], ["תו", "ת"], ["תיו", "ת"], ["תאו", "ת"],
+]);
+const HEB_FINAL_FORMS = { "כ": "ך", "מ": "ם", "נ": "ן", "פ": "ף", "צ": "ץ" };
+const SPELL_WORD_BREAKS = new Set(["רווח", "ומשפחה", "משפחה", "ושם"]);
+
+function parseSpelledName(text, locale = HEBREW_LOCALE) {
+  const tokens = normalizeText(text).split(" ").filter(Boolean);
+  const names = locale.letterNames;
+  const and = locale.conjunction;
+  const words = [[]];
+  let known = 0;
+  for (const tok of tokens) {
+    if (locale.spaceWords.has(tok)) {
+      if (words[words.length - 1].length) words.push([]);
+      continue;
+    }
+    const name = names.has(tok) ? tok : and && tok.length > 2 && tok.startsWith(and) && names.has(tok.slice(and.length)) ? tok.slice(and.length) : "";
+    const letter = name ? names.get(name) : /^\p{L}$/u.test(tok) ? tok : "";
+    if (!letter) continue;
+    words[words.length - 1].push(letter);
+    known += 1;
+  }
+  // mostly letters, or this was a sentence and not a spelling
+  if (known < 2 || known < tokens.length * 0.6) return null;
+
+  const parts = words
+    .filter((w) => w.length)
+    .map((w) => w.map((l, i) => (i === w.length - 1 && locale.finalForms[l]) || l).join(""))
+    .map((w) => w[0].toUpperCase() + w.slice(1)); // "d a n a" -> "Dana"; no-op for Hebrew
+  const first = parts[0];
+  const last = parts.slice(1).join(" ");
+  return { first, last, full: [first, last].filter(Boolean).join(" "), confidence: 0.9 };
+}
 
-  const hasStrongNo =
-    t.includes("לא רוצה") ||
-    t.includes("לא מעוניין") ||
-    t.includes("לא מעוניינת") ||
-    t.includes("ממש לא") ||
-    t === "עזוב" ||
-    t === "עזבי";
+// "can we start over" while dictating a number
+const PHONE_RESTART_PHRASES = ["מההתחלה", "מחדש", "מהתחלה", "תמחק", "תמחקי", "למחוק הכל"];
 
-  const short = tokens.length <= 6;
+// A partial number that may still turn into a valid one with more digits.
+function couldBePhonePrefix(d) {
+  const x = digitsOnly(d);
+  if (safeStr(d).startsWith("+") || x.startsWith("00")) return x.length < 15;
+  return (x.startsWith("0") && x.length < 10) || (x.startsWith("972") && x.length < 12) || (x.startsWith("1") && x.length < 10);
+}
 
-  if (hasStrongNo) return "no";
-  if (hasNo && short) return "no";
-  if (hasYes) return "yes";
-  return null;
+// Local form of a valid number in the transcript ("0521234567", "1800123456", "+447911123456"), or "".
+function extractPhoneFromTranscript(text, locale = HEBREW_LOCALE) {
+  const phone = classifyPhone(spokenPhoneCandidate(text, "", locale));
+  return phone.ok ? phone.local : "";
 }
 
-function isRefusal(text) {
-  const t = normalizeText(text);
-  return (
-    t.includes("לא רוצה") ||
-    t.includes("לא מעוניין") ||
-    t.includes("לא מעוניינת") ||
-    t === "ביי" ||
-    t === "להתראות" ||
-    t === "עזוב" ||
-    t === "עזבי"
-  );
+function isMobileCallerE164(e164) {
+  return classifyPhone(e164).type === "mobile";
 }
 
 function getSystemPromptFromMBConversationPrompt() {
@@ -160,12 +457,12 @@ function openaiWsUrl() {
   return `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`;
 }
 
-async function postJson(url, payload) {
+async function postJson(url, payload, headers = {}) {
   if (!url) return { ok: false, reason: "webhook_not_configured" };
   try {
     const res = await fetch(url, {
       method: "POST",
-      headers: { "content-type": "application/json" },
+      headers: { "content-type": "application/json", ...headers },
       body: JSON.stringify(payload),
     });
     const text = await res.text().catch(() => "");
@@ -209,6 +506,37 @@ async function startRecordingIfEnabled(callSid) {
   }
 }
 
+async function stopRecording(callSid, recordingSid) {
+  if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN) return { ok: false, reason: "twilio_auth_missing" };
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${ENV.TWILIO_ACCOUNT_SID}/Calls/${callSid}/Recordings/${recordingSid}.json`;
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: twilioAuthHeader(), "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ Status: "stopped" }),
+    });
+    if (!res.ok) return { ok: false, reason: "recording_stop_failed", status: res.status };
+    return { ok: true, reason: "recording_stopped" };
+  } catch (e) {
+    return { ok: false, reason: "recording_stop_error", error: String(e?.message || e) };
+  }
+}
+
+async function deleteRecording(recordingSid) {
+  if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN) return { ok: false, reason: "twilio_auth_missing" };
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${ENV.TWILIO_ACCOUNT_SID}/Recordings/${recordingSid}.json`;
+  try {
+    const res = await fetch(url, { method: "DELETE", headers: { Authorization: twilioAuthHeader() } });
+    // 404 = already gone, which is what we wanted
+    if (!res.ok && res.status !== 404) return { ok: false, reason: "recording_delete_failed", status: res.status };
+    return { ok: true, reason: "recording_deleted" };
+  } catch (e) {
+    return { ok: false, reason: "recording_delete_error", error: String(e?.message || e) };
+  }
+}
+
 async function hangupCall(callSid) {
   if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN) return { ok: false, reason: "twilio_auth_missing" };
 
@@ -249,32 +577,635 @@ async function playTwilioAsset(callSid, assetUrl) {
   }
 }
 
-// -------------------- Recording callback --------------------
+// -------------------- Languages --------------------
+// Flows, PROMPTS and the vocabularies above (number words: spoken-digits.js, replies and intents: utterances.js)
+// are Hebrew. Every other language is MB_LOCALES_DIR/<id>.json with the same vocabularies (yes/no, refusals,
+// question / repeat / human phrases, number words, name intros) plus "texts": translations keyed by the Hebrew
+// source line, {{placeholders}} included. Lines without a translation are spoken as they are.
+// A call starts in Hebrew; with more than one language in MB_LANGUAGES the first utterance (its script), an
+// explicit "English please" or the DTMF digit of a language switches the STT, the prompts and the parsers.
+const HEBREW_LOCALE = {
+  id: "he",
+  name: "עברית",
+  script: /\p{Script=Hebrew}/gu,
+  stt: ENV.MB_STT_LANGUAGE,
+  sttPrompt: "תמללו בעברית תקינה. שמות בעברית. מספרי טלפון בישראל מתחילים ב-0.",
+  tts: ENV.ELEVENLABS_LANGUAGE,
+  say: ENV.MB_TWIML_SAY_LANGUAGE,
+  dtmf: "1",
+  menu: "",
+  switchPhrases: ["עברית", "בעברית"],
+  ...HEBREW_REPLY_WORDS,
+  ...HEBREW_NUMBER_WORDS,
+  restart: PHONE_RESTART_PHRASES,
+  nameTrash: NAME_TRASH,
+  nameIntro: NAME_INTRO_PREFIXES,
+  nameIntroSuffixes: NAME_INTRO_SUFFIXES,
+  nameStopwords: NAME_STOPWORDS,
+  letterNames: HEB_LETTER_NAMES,
+  finalForms: HEB_FINAL_FORMS,
+  spaceWords: SPELL_WORD_BREAKS,
+  texts: new Map(),
+};
+
+function buildLocale(raw) {
+  const words = (v) => (Array.isArray(v) ? v.map(normalizeText).filter(Boolean) : []);
+  const id = safeStr(raw.id).toLowerCase();
+  return {
+    id,
+    name: safeStr(raw.name) || id,
+    script: new RegExp(`\\p{Script=${safeStr(raw.script) || "Latin"}}`, "gu"),
+    stt: safeStr(raw.stt) || id,
+    sttPrompt: safeStr(raw.sttPrompt),
+    tts: safeStr(raw.tts) || id,
+    say: safeStr(raw.say) || id,
+    dtmf: safeStr(raw.dtmf),
+    menu: safeStr(raw.menu),
+    switchPhrases: words(raw.switch),
+    ...replyWordsFromLocale(raw),
+    kbStopwords: new Set(words(raw.kbStopwords)),
+    ...numberWordsFromLocale(raw),
+    restart: words(raw.restart),
+    // every call starts in Hebrew and callers often give their name in it anyway ("קוראים לי דני כהן"), so the
+    // Hebrew name lists apply in every language
+    nameTrash: new Set([...words(raw.nameTrash), ...NAME_TRASH]),
+    nameIntro: [...words(raw.nameIntro), ...NAME_INTRO_PREFIXES],
+    nameIntroSuffixes: [...words(raw.nameIntroSuffixes), ...NAME_INTRO_SUFFIXES],
+    nameStopwords: new Set([...words(raw.nameStopwords), ...NAME_STOPWORDS]),
+    letterNames: new Map(),
+    finalForms: {},
+    spaceWords: new Set(words(raw.spaceWords)),
+    texts: new Map(Object.entries(raw.texts || {}).map(([k, v]) => [safeStr(k), safeStr(v)])),
+  };
+}
+
+function loadLocales() {
+  const locales = new Map([[HEBREW_LOCALE.id, HEBREW_LOCALE]]);
+  let files = [];
+  try {
+    files = fs.readdirSync(ENV.MB_LOCALES_DIR).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    logError("LOCALES dir unreadable", { dir: ENV.MB_LOCALES_DIR, error: String(e?.message || e) });
+  }
+
+  for (const file of files) {
+    try {
+      const locale = buildLocale(JSON.parse(fs.readFileSync(path.join(ENV.MB_LOCALES_DIR, file), "utf8")));
+      if (!locale.id || locales.has(locale.id)) {
+        logError("LOCALE invalid, skipped", { file });
+        continue;
+      }
+      locales.set(locale.id, locale);
+    } catch (e) {
+      logError("LOCALE load failed", { file, error: String(e?.message || e) });
+    }
+  }
+
+  logInfo("LOCALES loaded", { ids: [...locales.keys()] });
+  return locales;
+}
+
+const LOCALES = loadLocales();
+// Hebrew is always available: the flows are written in it
+const CALL_LOCALES = [
+  HEBREW_LOCALE,
+  ...ENV.MB_LANGUAGES.split(",")
+    .map((id) => LOCALES.get(id.trim().toLowerCase()))
+    .filter((l) => l && l !== HEBREW_LOCALE),
+];
+
+function getCallLocale(id) {
+  return CALL_LOCALES.find((l) => l.id === safeStr(id).toLowerCase()) || null;
+}
+
+function localizeText(text, locale) {
+  return (locale && locale.texts.get(safeStr(text))) || text;
+}
+
+// Leaving Hebrew takes a few words in the other script: "OK" or "Hello?" is said in every language.
+const LANGUAGE_DETECT_MIN_WORDS = 2;
+const LANGUAGE_DETECT_MIN_LETTERS = 6;
+
+// The language whose script most of the letters are in, or null (digits only, too short, mixed).
+function detectLanguage(text) {
+  const counts = CALL_LOCALES.map((l) => (safeStr(text).match(l.script) || []).length);
+  const total = counts.reduce((a, b) => a + b, 0);
+  const best = counts.indexOf(Math.max(...counts));
+  if (total < 2 || counts[best] / total < 0.7) return null;
+  const locale = CALL_LOCALES[best];
+  if (locale === HEBREW_LOCALE) return locale;
+  const words = normalizeText(text).split(" ").filter((w) => w.match(locale.script));
+  return words.length >= LANGUAGE_DETECT_MIN_WORDS && counts[best] >= LANGUAGE_DETECT_MIN_LETTERS ? locale : null;
+}
+
+// "English please", "по-русски", "אפשר בערבית?" — short utterances naming another language. Once the call's
+// language is settled the phrase has to be (nearly) all that was said: "יש לכם קורס אנגלית?" is a question.
+function requestedLanguage(text, settled = false) {
+  const t = normalizeText(text);
+  if (!t || t.split(" ").length > 4) return null;
+  const wholeUtterance = (p) => t.replace(p, " ").split(" ").filter(Boolean).length <= 1;
+  return CALL_LOCALES.find((l) => l.switchPhrases.some((p) => t.includes(p) && (!settled || wholeUtterance(p)))) || null;
+}
+
+// -------------------- Twilio signature --------------------
+// X-Twilio-Signature = base64(HMAC-SHA1(auth token, full URL + each POST param name+value sorted by name)).
+// The URL is the one Twilio called, so PUBLIC_BASE_URL is preferred over what the proxy hands us.
+function twilioSignature(url, params) {
+  let data = url;
+  for (const key of Object.keys(params || {}).sort()) {
+    const values = Array.isArray(params[key]) ? [...params[key]].sort() : [params[key]];
+    for (const v of values) data += key + (v == null ? "" : v);
+  }
+  return crypto.createHmac("sha1", ENV.TWILIO_AUTH_TOKEN).update(Buffer.from(data, "utf-8")).digest("base64");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a || "");
+  const y = Buffer.from(b || "");
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function twilioCandidateUrls(req, isWs) {
+  const origins = [];
+  const publicOrigin = getPublicOrigin();
+  if (publicOrigin) origins.push(publicOrigin);
+  const host = safeStr(req.headers["x-forwarded-host"] || req.headers.host).split(",")[0].trim();
+  const proto = safeStr(req.headers["x-forwarded-proto"] || "https").split(",")[0].trim();
+  if (host) origins.push(`${proto}://${host}`);
+
+  const pathAndQuery = req.originalUrl || req.url || "/";
+  const urls = new Set();
+  for (const origin of origins) {
+    const base = origin.replace(/\/+$/, "") + pathAndQuery;
+    urls.add(base);
+    if (isWs) urls.add(base.replace(/^http/, "ws"));
+  }
+  return [...urls];
+}
+
+function verifyTwilioRequest(req, params, isWs = false) {
+  if (!ENV.TWILIO_VALIDATE_SIGNATURE) return { ok: true, reason: "validation_disabled" };
+  if (!ENV.TWILIO_AUTH_TOKEN) return { ok: false, reason: "auth_token_missing" };
+
+  const signature = safeStr(req.headers["x-twilio-signature"]);
+  if (!signature) return { ok: false, reason: "signature_missing" };
+
+  const urls = twilioCandidateUrls(req, isWs);
+  const match = urls.find((u) => safeEqual(twilioSignature(u, params), signature));
+  return match ? { ok: true, reason: "signature_ok" } : { ok: false, reason: "signature_mismatch", urls };
+}
+
+function requireTwilioSignature(req, res, next) {
+  const v = verifyTwilioRequest(req, req.body || {});
+  if (v.ok) return next();
+  logError("TWILIO request rejected", { path: req.path, reason: v.reason, tried: v.urls, ip: req.ip });
+  res.status(403).send("Forbidden");
+}
+
+if (!ENV.TWILIO_VALIDATE_SIGNATURE) logInfo("[WARN] Twilio signature validation is DISABLED (TWILIO_VALIDATE_SIGNATURE=false)");
+
+// -------------------- Call store --------------------
+// Active calls are kept in `calls` (the objects the handlers mutate) and written through to the store with
+// saveCall(), so a restart does not lose the lead and finished calls can be queried afterwards.
+// Backends: "sqlite" (default, file at MB_CALL_DB_PATH) or "memory" (previous behaviour, nothing survives).
+function createMemoryCallStore() {
+  const records = new Map();
+  const events = [];
+  const outbox = new Map();
+  const campaigns = new Map();
+  const campaignLeads = new Map();
+  const dnc = new Map();
+  const copy = (x) => x && JSON.parse(JSON.stringify(x));
+
+  return {
+    kind: "memory",
+    load(callSid) {
+      const raw = records.get(callSid);
+      return raw ? JSON.parse(raw) : null;
+    },
+    save(record) {
+      records.set(record.callSid, JSON.stringify(record));
+    },
+    addEvent(callSid, type, data) {
+      events.push({ callSid, ts: nowIso(), type, data: data || {} });
+    },
+    getEvents(callSid) {
+      return events.filter((e) => e.callSid === callSid);
+    },
+    list({ since = "", until = "", limit = 100 } = {}) {
+      return [...records.values()]
+        .map((raw) => JSON.parse(raw))
+        .filter((r) => (!since || r.startedAt >= since) && (!until || r.startedAt < until))
+        .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))
+        .slice(0, limit);
+    },
+    listUnfinished() {
+      return [...records.values()].map((raw) => JSON.parse(raw)).filter((r) => !r.finalSent);
+    },
+    findByRecordingSid(recordingSid) {
+      for (const raw of records.values()) {
+        const r = JSON.parse(raw);
+        if (r.recordingSid === recordingSid) return r;
+      }
+      return null;
+    },
+    findLastByPhone(phoneLocal, excludeCallSid = "") {
+      return (
+        [...records.values()]
+          .map((raw) => JSON.parse(raw))
+          .filter((r) => r.callSid !== excludeCallSid && r.finalSent && r.lead?.first_name)
+          .filter((r) => r.callerPhoneLocal === phoneLocal || r.lead.phone_number === phoneLocal)
+          .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))[0] || null
+      );
+    },
+    outboxAdd(entry) {
+      if (outbox.has(entry.id)) return false;
+      outbox.set(entry.id, { ...entry });
+      return true;
+    },
+    outboxUpdate(entry) {
+      outbox.set(entry.id, { ...entry });
+    },
+    outboxGet(id) {
+      const e = outbox.get(id);
+      return e ? { ...e } : null;
+    },
+    outboxDue(now, limit) {
+      return [...outbox.values()]
+        .filter((e) => e.status === "pending" && e.nextAttemptAt <= now)
+        .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : 1))
+        .slice(0, limit)
+        .map((e) => ({ ...e }));
+    },
+    outboxList({ status = "", limit = 100 } = {}) {
+      return [...outbox.values()]
+        .filter((e) => !status || e.status === status)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+        .slice(0, limit)
+        .map((e) => ({ ...e }));
+    },
+    campaignSave(campaign) {
+      campaigns.set(campaign.id, copy(campaign));
+    },
+    campaignGet(id) {
+      return copy(campaigns.get(id)) || null;
+    },
+    campaignList() {
+      return [...campaigns.values()].sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)).map(copy);
+    },
+    campaignLeadAdd(lead) {
+      for (const l of campaignLeads.values()) if (l.campaignId === lead.campaignId && l.phone === lead.phone) return false;
+      campaignLeads.set(lead.id, copy(lead));
+      return true;
+    },
+    campaignLeadSave(lead) {
+      campaignLeads.set(lead.id, copy(lead));
+    },
+    campaignLeadGet(id) {
+      return copy(campaignLeads.get(id)) || null;
+    },
+    campaignLeads(campaignId, { status = "", limit = 100 } = {}) {
+      return [...campaignLeads.values()]
+        .filter((l) => l.campaignId === campaignId && (!status || l.status === status))
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+        .slice(0, limit)
+        .map(copy);
+    },
+    campaignLeadsDue(campaignId, now, limit) {
+      return [...campaignLeads.values()]
+        .filter((l) => l.campaignId === campaignId && l.status === "pending" && l.nextAttemptAt <= now)
+        .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : 1))
+        .slice(0, limit)
+        .map(copy);
+    },
+    campaignLeadCounts(campaignId) {
+      const counts = {};
+      for (const l of campaignLeads.values()) if (l.campaignId === campaignId) counts[l.status] = (counts[l.status] || 0) + 1;
+      return counts;
+    },
+    dncHas(phone) {
+      return dnc.has(phone);
+    },
+    dncAdd(phone, reason = "") {
+      if (!dnc.has(phone)) dnc.set(phone, { phone, addedAt: nowIso(), reason });
+    },
+    dncRemove(phone) {
+      return dnc.delete(phone);
+    },
+    dncList(limit = 1000) {
+      return [...dnc.values()].slice(0, limit).map(copy);
+    },
+  };
+}
+
+function createSqliteCallStore(file) {
+  const Database = require("better-sqlite3");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS calls (
+      call_sid TEXT PRIMARY KEY,
+      started_at TEXT NOT NULL,
+      ended_at TEXT,
+      final_sent INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS calls_started_at ON calls (started_at);
+    CREATE INDEX IF NOT EXISTS calls_caller ON calls (json_extract(data, '$.callerPhoneLocal'));
+    CREATE TABLE IF NOT EXISTS call_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_sid TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS call_events_call_sid ON call_events (call_sid);
+    CREATE TABLE IF NOT EXISTS crm_outbox (
+      id TEXT PRIMARY KEY,
+      call_sid TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_error TEXT NOT NULL DEFAULT '',
+      payload TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS crm_outbox_due ON crm_outbox (status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS campaign_leads (
+      id TEXT PRIMARY KEY,
+      campaign_id TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      status TEXT NOT NULL,
+      next_attempt_at TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      UNIQUE (campaign_id, phone)
+    );
+    CREATE INDEX IF NOT EXISTS campaign_leads_due ON campaign_leads (campaign_id, status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS dnc (
+      phone TEXT PRIMARY KEY,
+      added_at TEXT NOT NULL,
+      reason TEXT NOT NULL DEFAULT ''
+    );
+  `);
+
+  const stmts = {
+    load: db.prepare("SELECT data FROM calls WHERE call_sid = ?"),
+    save: db.prepare(`
+      INSERT INTO calls (call_sid, started_at, ended_at, final_sent, updated_at, data)
+      VALUES (@callSid, @startedAt, @endedAt, @finalSent, @updatedAt, @data)
+      ON CONFLICT (call_sid) DO UPDATE SET
+        ended_at = excluded.ended_at, final_sent = excluded.final_sent,
+        updated_at = excluded.updated_at, data = excluded.data
+    `),
+    addEvent: db.prepare("INSERT INTO call_events (call_sid, ts, type, data) VALUES (?, ?, ?, ?)"),
+    getEvents: db.prepare("SELECT call_sid, ts, type, data FROM call_events WHERE call_sid = ? ORDER BY id"),
+    list: db.prepare(`
+      SELECT data FROM calls
+      WHERE (@since = '' OR started_at >= @since) AND (@until = '' OR started_at < @until)
+      ORDER BY started_at DESC LIMIT @limit
+    `),
+    listUnfinished: db.prepare("SELECT data FROM calls WHERE final_sent = 0"),
+    findByRecordingSid: db.prepare("SELECT data FROM calls WHERE json_extract(data, '$.recordingSid') = ? LIMIT 1"),
+    findLastByPhone: db.prepare(`
+      SELECT data FROM calls
+      WHERE final_sent = 1 AND call_sid != @exclude AND json_extract(data, '$.lead.first_name') != ''
+        AND (json_extract(data, '$.callerPhoneLocal') = @phone OR json_extract(data, '$.lead.phone_number') = @phone)
+      ORDER BY started_at DESC LIMIT 1
+    `),
+    outboxAdd: db.prepare(`
+      INSERT OR IGNORE INTO crm_outbox (id, call_sid, status, attempts, next_attempt_at, created_at, updated_at, last_error, payload)
+      VALUES (@id, @callSid, @status, @attempts, @nextAttemptAt, @createdAt, @updatedAt, @lastError, @payload)
+    `),
+    outboxUpdate: db.prepare(`
+      UPDATE crm_outbox SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+        updated_at = @updatedAt, last_error = @lastError
+      WHERE id = @id
+    `),
+    outboxGet: db.prepare("SELECT * FROM crm_outbox WHERE id = ?"),
+    outboxDue: db.prepare(`
+      SELECT * FROM crm_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?
+    `),
+    outboxList: db.prepare(`
+      SELECT * FROM crm_outbox WHERE (@status = '' OR status = @status) ORDER BY created_at DESC LIMIT @limit
+    `),
+    campaignSave: db.prepare(`
+      INSERT INTO campaigns (id, created_at, data) VALUES (@id, @createdAt, @data)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data
+    `),
+    campaignGet: db.prepare("SELECT data FROM campaigns WHERE id = ?"),
+    campaignList: db.prepare("SELECT data FROM campaigns ORDER BY created_at DESC"),
+    campaignLeadAdd: db.prepare(`
+      INSERT OR IGNORE INTO campaign_leads (id, campaign_id, phone, status, next_attempt_at, created_at, data)
+      VALUES (@id, @campaignId, @phone, @status, @nextAttemptAt, @createdAt, @data)
+    `),
+    campaignLeadSave: db.prepare(`
+      UPDATE campaign_leads SET status = @status, next_attempt_at = @nextAttemptAt, data = @data WHERE id = @id
+    `),
+    campaignLeadGet: db.prepare("SELECT data FROM campaign_leads WHERE id = ?"),
+    campaignLeads: db.prepare(`
+      SELECT data FROM campaign_leads WHERE campaign_id = @campaignId AND (@status = '' OR status = @status)
+      ORDER BY created_at LIMIT @limit
+    `),
+    campaignLeadsDue: db.prepare(`
+      SELECT data FROM campaign_leads WHERE campaign_id = ? AND status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at LIMIT ?
+    `),
+    campaignLeadCounts: db.prepare("SELECT status, COUNT(*) AS n FROM campaign_leads WHERE campaign_id = ? GROUP BY status"),
+    dncHas: db.prepare("SELECT 1 FROM dnc WHERE phone = ?"),
+    dncAdd: db.prepare("INSERT OR IGNORE INTO dnc (phone, added_at, reason) VALUES (?, ?, ?)"),
+    dncRemove: db.prepare("DELETE FROM dnc WHERE phone = ?"),
+    dncList: db.prepare("SELECT phone, added_at, reason FROM dnc ORDER BY added_at DESC LIMIT ?"),
+  };
+
+  const outboxRow = (e) => ({ ...e, payload: JSON.stringify(e.payload), updatedAt: nowIso() });
+  const outboxEntry = (r) =>
+    r && {
+      id: r.id,
+      callSid: r.call_sid,
+      status: r.status,
+      attempts: r.attempts,
+      nextAttemptAt: r.next_attempt_at,
+      createdAt: r.created_at,
+      updatedAt: r.updated_at,
+      lastError: r.last_error,
+      payload: JSON.parse(r.payload),
+    };
+
+  return {
+    kind: "sqlite",
+    load(callSid) {
+      const row = stmts.load.get(callSid);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(record) {
+      stmts.save.run({
+        callSid: record.callSid,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt || "",
+        finalSent: record.finalSent ? 1 : 0,
+        updatedAt: nowIso(),
+        data: JSON.stringify(record),
+      });
+    },
+    addEvent(callSid, type, data) {
+      stmts.addEvent.run(callSid, nowIso(), type, JSON.stringify(data || {}));
+    },
+    getEvents(callSid) {
+      return stmts.getEvents.all(callSid).map((r) => ({ callSid: r.call_sid, ts: r.ts, type: r.type, data: JSON.parse(r.data) }));
+    },
+    list({ since = "", until = "", limit = 100 } = {}) {
+      return stmts.list.all({ since, until, limit }).map((r) => JSON.parse(r.data));
+    },
+    listUnfinished() {
+      return stmts.listUnfinished.all().map((r) => JSON.parse(r.data));
+    },
+    findByRecordingSid(recordingSid) {
+      const row = stmts.findByRecordingSid.get(recordingSid);
+      return row ? JSON.parse(row.data) : null;
+    },
+    findLastByPhone(phoneLocal, excludeCallSid = "") {
+      const row = stmts.findLastByPhone.get({ phone: phoneLocal, exclude: excludeCallSid });
+      return row ? JSON.parse(row.data) : null;
+    },
+    outboxAdd(entry) {
+      return stmts.outboxAdd.run(outboxRow(entry)).changes > 0;
+    },
+    outboxUpdate(entry) {
+      stmts.outboxUpdate.run(outboxRow(entry));
+    },
+    outboxGet(id) {
+      return outboxEntry(stmts.outboxGet.get(id)) || null;
+    },
+    outboxDue(now, limit) {
+      return stmts.outboxDue.all(now, limit).map(outboxEntry);
+    },
+    outboxList({ status = "", limit = 100 } = {}) {
+      return stmts.outboxList.all({ status, limit }).map(outboxEntry);
+    },
+    campaignSave(campaign) {
+      stmts.campaignSave.run({ id: campaign.id, createdAt: campaign.createdAt, data: JSON.stringify(campaign) });
+    },
+    campaignGet(id) {
+      const row = stmts.campaignGet.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    campaignList() {
+      return stmts.campaignList.all().map((r) => JSON.parse(r.data));
+    },
+    campaignLeadAdd(lead) {
+      return stmts.campaignLeadAdd.run({ ...lead, data: JSON.stringify(lead) }).changes > 0;
+    },
+    campaignLeadSave(lead) {
+      stmts.campaignLeadSave.run({ id: lead.id, status: lead.status, nextAttemptAt: lead.nextAttemptAt, data: JSON.stringify(lead) });
+    },
+    campaignLeadGet(id) {
+      const row = stmts.campaignLeadGet.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    campaignLeads(campaignId, { status = "", limit = 100 } = {}) {
+      return stmts.campaignLeads.all({ campaignId, status, limit }).map((r) => JSON.parse(r.data));
+    },
+    campaignLeadsDue(campaignId, now, limit) {
+      return stmts.campaignLeadsDue.all(campaignId, now, limit).map((r) => JSON.parse(r.data));
+    },
+    campaignLeadCounts(campaignId) {
+      const counts = {};
+      for (const r of stmts.campaignLeadCounts.all(campaignId)) counts[r.status] = r.n;
+      return counts;
+    },
+    dncHas(phone) {
+      return !!stmts.dncHas.get(phone);
+    },
+    dncAdd(phone, reason = "") {
+      stmts.dncAdd.run(phone, nowIso(), reason);
+    },
+    dncRemove(phone) {
+      return stmts.dncRemove.run(phone).changes > 0;
+    },
+    dncList(limit = 1000) {
+      return stmts.dncList.all(limit).map((r) => ({ phone: r.phone, addedAt: r.added_at, reason: r.reason }));
+    },
+  };
+}
+
+function createCallStore() {
+  if (ENV.MB_CALL_STORE === "memory") return createMemoryCallStore();
+  if (ENV.MB_CALL_STORE !== "sqlite") logError("Unknown MB_CALL_STORE, using sqlite", { MB_CALL_STORE: ENV.MB_CALL_STORE });
+  try {
+    return createSqliteCallStore(ENV.MB_CALL_DB_PATH);
+  } catch (e) {
+    logError("SQLite call store unavailable, falling back to memory", String(e?.message || e));
+    return createMemoryCallStore();
+  }
+}
+
+const callStore = createCallStore();
+logInfo("CALL store", { kind: callStore.kind });
+
 const calls = new Map();
 
+function newCallRecord(callSid) {
+  return {
+    callSid,
+    streamSid: "",
+    caller: "",
+    called: "",
+    callerPhoneLocal: "",
+    startedAt: nowIso(),
+    endedAt: "",
+    flowId: "",
+    state: "",
+    steps: [],
+    retries: {},
+    recordingSid: "",
+    recordingUrl: "",
+    lead: { first_name: "", last_name: "", phone_number: "", study_track: "" },
+    meta: { consent: "not_asked", consentAt: "" },
+    memory: { transcripts: [] },
+    final: null,
+    finalSent: false,
+    finalTimer: null,
+  };
+}
+
 function getCall(callSid) {
   if (!calls.has(callSid)) {
-    calls.set(callSid, {
-      callSid,
-      streamSid: "",
-      caller: "",
-      called: "",
-      callerPhoneLocal: "",
-      startedAt: nowIso(),
-      endedAt: "",
-      recordingSid: "",
-      recordingUrl: "",
-      lead: { first_name: "", last_name: "", phone_number: "", study_track: "" },
-      meta: { consent: "skipped" },
-      memory: { transcripts: [] },
-      finalSent: false,
-      finalTimer: null,
-    });
+    const stored = callStore.load(callSid);
+    calls.set(callSid, stored ? { ...newCallRecord(callSid), ...stored, finalTimer: null } : newCallRecord(callSid));
   }
   return calls.get(callSid);
 }
 
-app.post("/twilio-recording-callback", async (req, res) => {
+function saveCall(c) {
+  if (!c?.callSid) return;
+  const { finalTimer, ...record } = c;
+  try {
+    callStore.save(record);
+  } catch (e) {
+    logError("CALL store save failed", { callSid: c.callSid, error: String(e?.message || e) });
+  }
+}
+
+function logCallEvent(callSid, type, data) {
+  if (!callSid) return;
+  try {
+    callStore.addEvent(callSid, type, data);
+  } catch (e) {
+    logError("CALL store event failed", { callSid, type, error: String(e?.message || e) });
+  }
+}
+
+// -------------------- Recording callback --------------------
+app.post("/twilio-recording-callback", requireTwilioSignature, async (req, res) => {
   const callSid = req.body?.CallSid || "";
   const recordingUrl = req.body?.RecordingUrl || "";
   const recordingSid = req.body?.RecordingSid || "";
@@ -283,31 +1214,108 @@ app.post("/twilio-recording-callback", async (req, res) => {
 
   if (callSid) {
     const c = getCall(callSid);
+    if (c.meta.consent === "declined") {
+      // a recording that slipped through after the caller said no is removed, never linked
+      if (recordingSid) logInfo("RECORDING> delete (consent declined)", await deleteRecording(recordingSid));
+      return res.status(200).send("OK");
+    }
     if (recordingSid) c.recordingSid = recordingSid;
     if (recordingUrl) c.recordingUrl = recordingUrl;
+    saveCall(c);
+    logCallEvent(callSid, "recording", { recordingSid, recordingUrl });
   }
 
   res.status(200).send("OK");
 });
 
+// -------------------- Recording proxy --------------------
+// Links look like /recording/RE….mp3?exp=<unix ms>&sig=<hmac>; only recordings of calls we handled are served,
+// streamed straight from Twilio with Range passed through so CRM players can seek.
+const RECORDING_SID_RE = /^RE[0-9a-f]{32}$/i;
+const RECORDING_PASS_HEADERS = ["content-type", "content-length", "content-range", "accept-ranges", "etag", "last-modified"];
+
+function recordingUrlSecret() {
+  return ENV.RECORDING_URL_SECRET || ENV.TWILIO_AUTH_TOKEN;
+}
+
+function recordingSignature(sid, exp) {
+  return crypto.createHmac("sha256", recordingUrlSecret()).update(`${sid}.${exp}`).digest("base64url");
+}
+
+function signedRecordingUrl(origin, sid) {
+  if (!origin || !sid || !recordingUrlSecret()) return "";
+  const exp = Date.now() + Math.max(60_000, ENV.RECORDING_URL_TTL_MS || 0);
+  return `${origin}/recording/${sid}.mp3?exp=${exp}&sig=${recordingSignature(sid, exp)}`;
+}
+
+function verifyRecordingAccess(sid, exp, sig) {
+  if (!recordingUrlSecret()) return { ok: false, reason: "signing_secret_missing" };
+  const expMs = Number(exp);
+  if (!Number.isFinite(expMs) || !safeStr(sig)) return { ok: false, reason: "token_missing" };
+  if (Date.now() > expMs) return { ok: false, reason: "token_expired" };
+  if (!safeEqual(recordingSignature(sid, expMs), safeStr(sig))) return { ok: false, reason: "token_invalid" };
+  return { ok: true };
+}
+
+function isKnownRecordingSid(sid) {
+  for (const c of calls.values()) if (c.recordingSid === sid) return true;
+  try {
+    return !!callStore.findByRecordingSid(sid);
+  } catch (e) {
+    logError("RECORDING lookup failed", { sid, error: String(e?.message || e) });
+    return false;
+  }
+}
+
 app.get("/recording/:sid.mp3", async (req, res) => {
   try {
     const sid = (req.params?.sid || "").trim();
     if (!sid) return res.status(400).send("missing sid");
+    if (!RECORDING_SID_RE.test(sid)) return res.status(400).send("invalid sid");
+
+    const access = verifyRecordingAccess(sid, req.query?.exp, req.query?.sig);
+    if (!access.ok) {
+      logError("RECORDING access denied", { sid, reason: access.reason, ip: req.ip });
+      return res.status(403).send("forbidden");
+    }
+    if (!isKnownRecordingSid(sid)) {
+      logError("RECORDING unknown sid", { sid, ip: req.ip });
+      return res.status(404).send("not found");
+    }
     if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN) return res.status(500).send("twilio auth missing");
 
     const url = `https://api.twilio.com/2010-04-01/Accounts/${ENV.TWILIO_ACCOUNT_SID}/Recordings/${sid}.mp3`;
-    const r = await fetch(url, { headers: { Authorization: twilioAuthHeader() } });
+    const headers = { Authorization: twilioAuthHeader() };
+    if (req.headers.range) headers.Range = req.headers.range;
+
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+    const r = await fetch(url, { headers, signal: abort.signal });
 
     if (!r.ok) {
       const t = await r.text().catch(() => "");
       return res.status(r.status).send(t || "failed to fetch");
     }
 
-    res.setHeader("Content-Type", "audio/mpeg");
-    const buf = Buffer.from(await r.arrayBuffer());
-    res.status(200).send(buf);
+    res.status(r.status);
+    for (const h of RECORDING_PASS_HEADERS) {
+      const v = r.headers.get(h);
+      if (v) res.setHeader(h, v);
+    }
+    if (!r.headers.get("content-type")) res.setHeader("Content-Type", "audio/mpeg");
+    if (!r.headers.get("accept-ranges")) res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Cache-Control", "private, max-age=300");
+
+    if (req.method === "HEAD" || !r.body) return res.end();
+
+    const upstream = Readable.fromWeb(r.body);
+    upstream.on("error", (e) => {
+      if (!abort.signal.aborted) logError("RECORDING stream error", { sid, error: String(e?.message || e) });
+      res.destroy();
+    });
+    upstream.pipe(res);
   } catch (e) {
+    if (res.headersSent) return res.destroy();
     res.status(500).send(String(e?.message || e));
   }
 });
@@ -316,12 +1324,13 @@ function addTranscriptMemory(callSid, text) {
   const c = getCall(callSid);
   const now = Date.now();
   c.memory.transcripts.push({ ts: now, text: safeStr(text) });
+  logCallEvent(callSid, "transcript", { text: safeStr(text) });
   const cutoff = now - 50_000;
   c.memory.transcripts = c.memory.transcripts.filter((x) => x.ts >= cutoff && x.text);
 }
 
 function computeStatus(lead) {
-  const ok = !!safeStr(lead.first_name) && !!safeStr(lead.phone_number) && isValidILPhoneDigits(lead.phone_number);
+  const ok = !!safeStr(lead.first_name) && !!safeStr(lead.phone_number) && isValidPhone(lead.phone_number);
   return ok ? { code: "completed", label: "שיחה מלאה" } : { code: "partial", label: "שיחה חלקית" };
 }
 
@@ -349,19 +1358,30 @@ async function sendFinal(callSid, reason) {
   const c = getCall(callSid);
   if (c.finalSent) return;
 
-  if (ENV.MB_ENABLE_RECORDING) {
+  if (ENV.MB_ENABLE_RECORDING && c.recordingSid) {
     await waitForRecording(callSid, 8000);
   }
 
-  const status = computeStatus(c.lead);
+  // a voicemail is neither a completed nor a partial lead: nobody was on the line
+  const status = reason === "voicemail" ? { code: "voicemail", label: "תא קולי" } : computeStatus(c.lead);
   const origin = getPublicOrigin();
-  const publicRecording = c.recordingSid && origin ? `${origin}/recording/${c.recordingSid}.mp3` : "";
+
+  const phone = c.lead.phone_number ? classifyPhone(c.lead.phone_number) : { ok: false };
+  c.lead.phone_e164 = phone.ok ? phone.e164 : "";
+  c.lead.phone_country = phone.country || "";
+  c.lead.phone_type = phone.type || "";
+  const publicRecording = c.recordingSid && origin ? signedRecordingUrl(origin, c.recordingSid) : "";
 
   const payload = {
     update_type: "lead_final",
     first_name: c.lead.first_name || "",
     last_name: c.lead.last_name || "",
-    phone_number: digitsOnly(c.lead.phone_number || ""),
+    name_confidence: c.lead.name_confidence ?? "",
+    // local form for home-country numbers, E.164 ("+44...") for the rest
+    phone_number: phone.ok ? phone.local : c.lead.phone_number || "",
+    phone_e164: c.lead.phone_e164,
+    phone_country: c.lead.phone_country,
+    phone_type: c.lead.phone_type,
     study_track: c.lead.study_track || "",
 
     caller_id: c.caller || "",
@@ -370,56 +1390,223 @@ async function sendFinal(callSid, reason) {
 
     callSid: c.callSid,
     streamSid: c.streamSid,
+    direction: c.meta.campaign ? "outbound" : "inbound",
+    language: c.meta.language || HEBREW_LOCALE.id,
+    campaign_id: c.meta.campaign?.id || "",
+    campaign_lead_id: c.meta.campaign?.leadId || "",
+    answered_by: c.meta.answeredBy || "",
+    returning_caller: !!c.meta.returning,
+    previous_call_sid: c.meta.returning?.callSid || "",
 
     call_status: status.label,
     call_status_code: status.code,
 
+    transferred_to_agent: AGENT_REACHED_OUTCOMES.has(c.meta.transfer?.outcome),
+    transfer_outcome: c.meta.transfer?.outcome || c.meta.transfer?.status || "",
+    callback_at: c.lead.callback_at || "",
+    callback_time_text: c.lead.callback_time_text || "",
+
+    recording_consent: c.meta.consent || "not_asked",
+    recording_consent_at: c.meta.consentAt || "",
     recording_url: c.recordingUrl || "",
     recording_public_url: publicRecording || "",
 
     source: "Voice AI - Nice Line",
     timestamp: nowIso(),
+    idempotency_key: c.callSid,
     reason: reason || "call_end",
-    remarks: `סטטוס: ${status.label} | consent: ${c.meta.consent || "skipped"} | name: ${c.lead.first_name || ""} ${c.lead.last_name || ""}`.trim(),
+    remarks: `סטטוס: ${status.label} | consent: ${c.meta.consent || "not_asked"} | name: ${c.lead.first_name || ""} ${c.lead.last_name || ""}`.trim(),
   };
 
-  if (ENV.MB_LOG_CRM) logInfo("CRM> sending FINAL", payload);
-  const r = await postJson(ENV.MAKE_WEBHOOK_URL, payload);
-  if (ENV.MB_LOG_CRM) logInfo("CRM> final result", r);
+  if (ENV.MB_LOG_CRM) logInfo("CRM> queueing FINAL", payload);
 
+  // finalSent = the lead is built and queued; delivery state lives in c.final.delivery / the outbox
   c.finalSent = true;
+  c.final = { reason: payload.reason, status: status.code, delivery: "pending", attempts: 0, result: "", queuedAt: payload.timestamp };
+  saveCall(c);
+  logCallEvent(callSid, "final", c.final);
+
+  const entry = enqueueCrmDelivery(callSid, payload);
+  if (entry) await deliverOutboxEntry(entry);
+
+  // only the in-process copy goes away; the record stays in the store
   setTimeout(() => calls.delete(callSid), 60_000);
 }
 
-// -------------------- ElevenLabs TTS --------------------
-function assertElevenConfigured() {
-  return !!ENV.ELEVEN_API_KEY && !!ENV.ELEVEN_VOICE_ID;
+// -------------------- CRM outbox --------------------
+// Every lead_final goes through crm_outbox: delivered now if Make answers, otherwise retried with exponential
+// backoff (MB_CRM_RETRY_BASE_MS doubling up to MB_CRM_RETRY_MAX_MS) and moved to "dead" after
+// MB_CRM_MAX_ATTEMPTS. The callSid is the idempotency key (payload field + Idempotency-Key header).
+const outboxInFlight = new Set();
+
+function enqueueCrmDelivery(callSid, payload) {
+  const now = nowIso();
+  const entry = {
+    id: `lead_final:${callSid}`,
+    callSid,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    lastError: "",
+    payload,
+  };
+  try {
+    if (!callStore.outboxAdd(entry)) {
+      logInfo("CRM> final already queued", { callSid });
+      return null;
+    }
+  } catch (e) {
+    logError("CRM outbox enqueue failed", { callSid, error: String(e?.message || e) });
+  }
+  return entry;
 }
-function toBase64(buf) {
-  return Buffer.from(buf).toString("base64");
+
+function crmRetryDelayMs(attempts) {
+  const base = Math.max(1000, ENV.MB_CRM_RETRY_BASE_MS || 0);
+  return Math.min(Math.max(base, ENV.MB_CRM_RETRY_MAX_MS || 0), base * 2 ** Math.max(0, attempts - 1));
 }
 
-async function elevenStreamUlaw(text, onAudioChunk) {
-  const voiceId = ENV.ELEVEN_VOICE_ID;
-  const outputFormat = ENV.ELEVEN_OUTPUT_FORMAT || "ulaw_8000";
-  const modelId = ENV.ELEVEN_TTS_MODEL || "eleven_v3";
+function recordFinalDelivery(callSid, entry, result) {
+  try {
+    const c = getCall(callSid);
+    if (!c.final) return;
+    c.final.delivery = entry.status;
+    c.final.attempts = entry.attempts;
+    c.final.result = result.reason || "";
+    if (entry.status === "delivered") c.final.deliveredAt = entry.updatedAt;
+    saveCall(c);
+  } catch {}
+}
 
-  const url =
-    `https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}/stream` +
-    `?output_format=${encodeURIComponent(outputFormat)}`;
+async function deliverOutboxEntry(entry) {
+  if (outboxInFlight.has(entry.id)) return;
+  outboxInFlight.add(entry.id);
+  try {
+    const r = await postJson(ENV.MAKE_WEBHOOK_URL, entry.payload, { "Idempotency-Key": entry.callSid });
+    entry.attempts += 1;
+    entry.updatedAt = nowIso();
+
+    if (r.ok) {
+      entry.status = "delivered";
+      entry.lastError = "";
+    } else {
+      entry.lastError = [r.reason, r.status, r.error || r.body].filter(Boolean).join(" ").slice(0, 500);
+      if (entry.attempts >= ENV.MB_CRM_MAX_ATTEMPTS) {
+        entry.status = "dead";
+      } else {
+        entry.nextAttemptAt = new Date(Date.now() + crmRetryDelayMs(entry.attempts)).toISOString();
+      }
+    }
 
-  const payload = {
-    text,
-    model_id: modelId,
-    voice_settings: {
-      stability: Number.isFinite(ENV.ELEVENLABS_STABILITY) ? ENV.ELEVENLABS_STABILITY : 0.5,
-      similarity_boost: 0.75,
-      style: Number.isFinite(ENV.ELEVENLABS_STYLE) ? ENV.ELEVENLABS_STYLE : 0.15,
-      use_speaker_boost: true,
-    },
-  };
+    callStore.outboxUpdate(entry);
+    recordFinalDelivery(entry.callSid, entry, r);
+    logCallEvent(entry.callSid, "crm_delivery", { status: entry.status, attempts: entry.attempts, result: r.reason });
 
-  const res = await fetch(url, {
+    if (entry.status === "dead") logError("CRM> final dead-lettered", { callSid: entry.callSid, attempts: entry.attempts, lastError: entry.lastError });
+    else if (ENV.MB_LOG_CRM) logInfo("CRM> final result", { callSid: entry.callSid, attempt: entry.attempts, ...r });
+  } catch (e) {
+    logError("CRM outbox delivery error", { id: entry.id, error: String(e?.message || e) });
+  } finally {
+    outboxInFlight.delete(entry.id);
+  }
+}
+
+async function processCrmOutbox() {
+  let due = [];
+  try {
+    due = callStore.outboxDue(nowIso(), 20);
+  } catch (e) {
+    logError("CRM outbox read failed", String(e?.message || e));
+  }
+  for (const entry of due) await deliverOutboxEntry(entry);
+}
+
+function replayOutboxEntry(id) {
+  const entry = callStore.outboxGet(id);
+  if (!entry) return null;
+  entry.status = "pending";
+  entry.attempts = 0;
+  entry.nextAttemptAt = nowIso();
+  entry.updatedAt = nowIso();
+  callStore.outboxUpdate(entry);
+  logInfo("CRM> replay queued", { id, callSid: entry.callSid });
+  return entry;
+}
+
+setInterval(() => {
+  processCrmOutbox().catch((e) => logError("CRM outbox tick error", String(e?.message || e)));
+}, Math.max(1000, ENV.MB_CRM_RETRY_TICK_MS)).unref();
+
+// -------------------- Returning callers --------------------
+// A caller whose number (caller id or the phone they left) belongs to an earlier call with a name is greeted
+// by that name. The local store is asked first, then MB_CRM_LOOKUP_URL if set.
+async function lookupCrmCaller(phoneLocal) {
+  if (!ENV.MB_CRM_LOOKUP_URL) return null;
+  try {
+    const url = new URL(ENV.MB_CRM_LOOKUP_URL);
+    url.searchParams.set("phone", phoneLocal);
+    const res = await fetch(url, {
+      headers: ENV.MB_CRM_LOOKUP_AUTH ? { Authorization: ENV.MB_CRM_LOOKUP_AUTH } : {},
+      signal: AbortSignal.timeout(Math.max(200, ENV.MB_CRM_LOOKUP_TIMEOUT_MS)),
+    });
+    if (!res.ok) return null;
+    const json = await res.json().catch(() => null);
+    const first = safeStr(json?.first_name);
+    if (!first) return null;
+    return { first_name: first, last_name: safeStr(json.last_name), callSid: safeStr(json.call_sid || json.callSid), source: "crm" };
+  } catch (e) {
+    logError("CRM lookup failed", String(e?.message || e));
+    return null;
+  }
+}
+
+async function lookupReturningCaller(phoneLocal, currentCallSid) {
+  if (!ENV.MB_RECOGNIZE_RETURNING || !phoneLocal) return null;
+  try {
+    const prev = callStore.findLastByPhone(phoneLocal, currentCallSid);
+    if (prev) {
+      return { first_name: prev.lead.first_name, last_name: prev.lead.last_name || "", callSid: prev.callSid, source: "store" };
+    }
+  } catch (e) {
+    logError("Returning caller lookup failed", String(e?.message || e));
+  }
+  return lookupCrmCaller(phoneLocal);
+}
+
+// -------------------- ElevenLabs TTS --------------------
+function assertElevenConfigured() {
+  return !!ENV.ELEVEN_API_KEY && !!ENV.ELEVEN_VOICE_ID;
+}
+function toBase64(buf) {
+  return Buffer.from(buf).toString("base64");
+}
+
+async function elevenStreamUlaw(text, onAudioChunk, signal, language) {
+  const voiceId = ENV.ELEVEN_VOICE_ID;
+  const outputFormat = ENV.ELEVEN_OUTPUT_FORMAT || "ulaw_8000";
+  const modelId = ENV.ELEVEN_TTS_MODEL || "eleven_v3";
+
+  const url =
+    `https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}` +
+    (ENV.ELEVEN_ENABLE_STREAM_ENDPOINT ? "/stream" : "") +
+    `?output_format=${encodeURIComponent(outputFormat)}`;
+
+  const payload = {
+    text,
+    model_id: modelId,
+    language_code: language || ENV.ELEVENLABS_LANGUAGE || undefined,
+    voice_settings: {
+      stability: Number.isFinite(ENV.ELEVENLABS_STABILITY) ? ENV.ELEVENLABS_STABILITY : 0.5,
+      similarity_boost: 0.75,
+      style: Number.isFinite(ENV.ELEVENLABS_STYLE) ? ENV.ELEVENLABS_STYLE : 0.15,
+      use_speaker_boost: true,
+      // ElevenLabs accepts 0.7..1.2
+      speed: Math.max(0.7, Math.min(1.2, Number.isFinite(ENV.MB_SPEECH_SPEED) ? ENV.MB_SPEECH_SPEED : 1)),
+    },
+  };
+
+  const res = await fetch(url, {
     method: "POST",
     headers: {
       "xi-api-key": ENV.ELEVEN_API_KEY,
@@ -427,6 +1614,7 @@ async function elevenStreamUlaw(text, onAudioChunk) {
       accept: "audio/ulaw",
     },
     body: JSON.stringify(payload),
+    signal,
   });
 
   if (!res.ok) {
@@ -438,6 +1626,10 @@ async function elevenStreamUlaw(text, onAudioChunk) {
   if (!reader) throw new Error("Eleven stream missing body reader");
 
   while (true) {
+    if (signal?.aborted) {
+      reader.cancel().catch(() => {});
+      break;
+    }
     const { value, done } = await reader.read();
     if (done) break;
     if (value && value.byteLength) {
@@ -446,49 +1638,1893 @@ async function elevenStreamUlaw(text, onAudioChunk) {
   }
 }
 
+// -------------------- OpenAI TTS --------------------
+// The speech endpoint has no μ-law output, so we take 24kHz pcm16 and convert to 8kHz μ-law on the fly.
+function linearToUlaw(sample) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const sign = sample < 0 ? 0x80 : 0;
+  let s = Math.min(Math.abs(sample), CLIP) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (s & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (s >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function createPcm24kToUlaw8k() {
+  let carry = Buffer.alloc(0);
+  return (chunk) => {
+    const buf = carry.length ? Buffer.concat([carry, Buffer.from(chunk)]) : Buffer.from(chunk);
+    const frames = Math.floor(buf.length / 6); // 3 samples of int16 -> 1 output sample
+    const out = Buffer.alloc(frames);
+    for (let i = 0; i < frames; i++) {
+      const o = i * 6;
+      out[i] = linearToUlaw(Math.round((buf.readInt16LE(o) + buf.readInt16LE(o + 2) + buf.readInt16LE(o + 4)) / 3));
+    }
+    carry = buf.subarray(frames * 6);
+    return out;
+  };
+}
+
+async function openaiSpeechUlaw(text, onAudioChunk, signal) {
+  const res = await fetch("https://api.openai.com/v1/audio/speech", {
+    method: "POST",
+    headers: { authorization: `Bearer ${ENV.OPENAI_API_KEY}`, "content-type": "application/json" },
+    body: JSON.stringify({
+      model: ENV.OPENAI_TTS_MODEL,
+      voice: ENV.OPENAI_TTS_VOICE || ENV.OPENAI_VOICE,
+      input: text,
+      response_format: "pcm",
+      speed: Number.isFinite(ENV.MB_SPEECH_SPEED) ? ENV.MB_SPEECH_SPEED : 1,
+    }),
+    signal,
+  });
+
+  if (!res.ok) {
+    const t = await res.text().catch(() => "");
+    throw new Error(`OpenAI speech failed (${res.status}): ${t || "no body"}`);
+  }
+
+  const reader = res.body?.getReader();
+  if (!reader) throw new Error("OpenAI speech missing body reader");
+
+  const convert = createPcm24kToUlaw8k();
+  while (true) {
+    if (signal?.aborted) {
+      reader.cancel().catch(() => {});
+      break;
+    }
+    const { value, done } = await reader.read();
+    if (done) break;
+    if (value && value.byteLength) {
+      const ulaw = convert(value);
+      if (ulaw.length) await onAudioChunk(ulaw);
+    }
+  }
+}
+
+// -------------------- Pre-rendered clips --------------------
+// MB_TTS_CLIPS_DIR/index.json maps prompt text -> raw μ-law 8kHz file in the same directory.
+const CLIP_CHUNK_BYTES = 3200;
+
+function loadTtsClips() {
+  const clips = new Map();
+  const indexFile = path.join(ENV.MB_TTS_CLIPS_DIR, "index.json");
+  if (!fs.existsSync(indexFile)) return clips;
+  try {
+    const index = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+    for (const [text, file] of Object.entries(index || {})) {
+      const full = path.join(ENV.MB_TTS_CLIPS_DIR, String(file));
+      if (fs.existsSync(full)) clips.set(normalizeText(text), full);
+      else logError("TTS clip missing", { text, file });
+    }
+  } catch (e) {
+    logError("TTS clips index invalid", String(e?.message || e));
+  }
+  logInfo("TTS clips loaded", { count: clips.size });
+  return clips;
+}
+
+const TTS_CLIPS = loadTtsClips();
+
+async function clipStreamUlaw(text, onAudioChunk, signal) {
+  const file = TTS_CLIPS.get(normalizeText(text));
+  if (!file) throw new Error("no pre-rendered clip for text");
+  const audio = await fs.promises.readFile(file);
+  for (let i = 0; i < audio.length; i += CLIP_CHUNK_BYTES) {
+    if (signal?.aborted) break;
+    await onAudioChunk(audio.subarray(i, i + CLIP_CHUNK_BYTES));
+  }
+}
+
+// -------------------- TTS providers --------------------
+// Each provider streams μ-law 8kHz chunks for a text. MB_TTS_PROVIDERS sets the order; when one throws before
+// producing audio the next configured one is tried, so a provider outage does not leave the caller in silence.
+const TTS_PROVIDERS = {
+  elevenlabs: { configured: () => assertElevenConfigured(), stream: elevenStreamUlaw },
+  openai: { configured: () => !!ENV.OPENAI_API_KEY, stream: openaiSpeechUlaw },
+  clips: { configured: () => TTS_CLIPS.size > 0, stream: clipStreamUlaw },
+};
+
+const ttsMetrics = {};
+
+function recordTtsMetric(name, { ok, firstByteMs, totalMs, error }) {
+  const m = (ttsMetrics[name] ||= {
+    requests: 0,
+    failures: 0,
+    firstByteMsAvg: 0,
+    firstByteMsMax: 0,
+    totalMsAvg: 0,
+    lastError: "",
+    lastErrorAt: "",
+  });
+  m.requests += 1;
+  if (!ok) {
+    m.failures += 1;
+    m.lastError = String(error || "").slice(0, 300);
+    m.lastErrorAt = nowIso();
+    return;
+  }
+  const n = m.requests - m.failures;
+  if (Number.isFinite(firstByteMs)) {
+    m.firstByteMsAvg = Math.round(m.firstByteMsAvg + (firstByteMs - m.firstByteMsAvg) / n);
+    m.firstByteMsMax = Math.max(m.firstByteMsMax, firstByteMs);
+  }
+  m.totalMsAvg = Math.round(m.totalMsAvg + (totalMs - m.totalMsAvg) / n);
+}
+
+function ttsProviderOrder() {
+  return ENV.MB_TTS_PROVIDERS.split(",")
+    .map((p) => p.trim().toLowerCase())
+    .filter((p) => TTS_PROVIDERS[p]);
+}
+
+// language: ElevenLabs language_code of the call's locale (the other providers take it from the text)
+async function synthesizeUlaw(text, onAudioChunk, signal, language) {
+  const tried = [];
+  for (const name of ttsProviderOrder()) {
+    const provider = TTS_PROVIDERS[name];
+    if (!provider.configured()) continue;
+    tried.push(name);
+
+    const started = Date.now();
+    let firstByteMs = NaN;
+    try {
+      await provider.stream(
+        text,
+        async (chunk) => {
+          if (!Number.isFinite(firstByteMs)) firstByteMs = Date.now() - started;
+          await onAudioChunk(chunk);
+        },
+        signal,
+        language
+      );
+      recordTtsMetric(name, { ok: true, firstByteMs, totalMs: Date.now() - started });
+      if (ENV.MB_DEBUG) logInfo("TTS>", { provider: name, firstByteMs, totalMs: Date.now() - started });
+      return { provider: name, firstByteMs };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      recordTtsMetric(name, { ok: false, error: e?.message || e });
+      logError("TTS provider failed", { provider: name, error: String(e?.message || e) });
+      // audio already reached the caller: replaying the sentence from another voice would be worse
+      if (Number.isFinite(firstByteMs)) throw e;
+    }
+  }
+  throw new Error(tried.length ? `all TTS providers failed (${tried.join(", ")})` : "no TTS provider configured");
+}
+
 // -------------------- OpenAI fallback --------------------
-async function openaiFallbackReply({ userText, state, question }) {
-  if (!ENV.OPENAI_API_KEY) return question || "אפשר לענות רגע על השאלה?";
+// The REST Responses API has no top-level output_text (that is an SDK helper), so read the message parts.
+function responseOutputText(json) {
+  if (typeof json?.output_text === "string") return json.output_text.trim();
+  const parts = [];
+  for (const item of json?.output || []) {
+    for (const c of item?.content || []) if (c?.type === "output_text" && c.text) parts.push(c.text);
+  }
+  return parts.join("").trim();
+}
+
+async function openaiResponse({ system, user, maxTokens, timeoutMs }) {
+  const res = await fetch("https://api.openai.com/v1/responses", {
+    method: "POST",
+    headers: { authorization: `Bearer ${ENV.OPENAI_API_KEY}`, "content-type": "application/json" },
+    body: JSON.stringify({
+      model: ENV.OPENAI_TEXT_MODEL,
+      input: [{ role: "system", content: system }, { role: "user", content: user }],
+      max_output_tokens: maxTokens,
+    }),
+    signal: timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined,
+  });
+
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json?.error?.message || "openai_http_error");
+  return responseOutputText(json);
+}
 
+// One short spoken line answering an off-script remark; the caller re-asks the current question afterwards.
+// Grounded only in MB_CONVERSATION_PROMPT — returns "" when there is nothing safe to say.
+async function openaiFallbackReply({ userText, state, question, intent, language }) {
+  if (!ENV.OPENAI_API_KEY) return "";
+
+  const business = getSystemPromptFromMBConversationPrompt();
   const sys =
-    "אתם עוזרים טלפוניים קצרים בעברית. " +
+    (language ? `אתם עוזרים טלפוניים קצרים שעונים בשפה הזו בלבד: ${language}. ` : "אתם עוזרים טלפוניים קצרים בעברית. ") +
     "מותר לכם להגיד משפט אחד בלבד. " +
     "אסור לשאול שאלות חדשות. " +
-    "המטרה היחידה: להחזיר את המשתמש לשאלה הנוכחית.";
+    "ענו רק על סמך המידע על העסק שלהלן; אם התשובה לא מופיעה בו, אמרו שנציג יחזור עם תשובה. " +
+    "אל תחזרו על השאלה הנוכחית, היא תישאל מיד אחריכם." +
+    (business ? `\n\nמידע על העסק:\n${business}` : "");
+
+  const user =
+    `המשתמש אמר: "${safeStr(userText)}"\n` +
+    `סוג הפנייה: ${intent || "question"}\n` +
+    `הסטייט הנוכחי: ${state}\n` +
+    `השאלה הנוכחית: "${question}"\n` +
+    "תנו משפט אחד בלבד.";
+
+  try {
+    const out = await openaiResponse({ system: sys, user, maxTokens: 80, timeoutMs: ENV.MB_FALLBACK_TIMEOUT_MS });
+    return out.slice(0, 240);
+  } catch (e) {
+    logError("OpenAI fallback failed", String(e?.message || e));
+    return "";
+  }
+}
+
+// -------------------- Intent classification --------------------
+// Every transcript is classified before the step parser sees it:
+// answer | question | off_topic | human (asks for a person) | repeat (didn't hear the question).
+const INTENTS = new Set(["answer", "question", "off_topic", "human", "repeat"]);
+async function classifyIntent(text, question, locale = HEBREW_LOCALE) {
+  const heuristic = detectIntentHeuristic(text, locale);
+  if (ENV.MB_INTENT_MODE !== "llm" || !ENV.OPENAI_API_KEY) return { intent: heuristic, source: "heuristic" };
+
+  const sys =
+    "אתם מסווגים משפט של מתקשר בשיחת טלפון של בוט שאוסף פרטים. " +
+    'החזירו מילה אחת בלבד מתוך: answer, question, off_topic, human, repeat. ' +
+    "answer = ניסיון לענות על השאלה של הבוט; question = שאלה של המתקשר; off_topic = משהו לא קשור; " +
+    "human = מבקש לדבר עם נציג או בן אדם; repeat = לא שמע או מבקש שיחזרו על השאלה.";
+  const user = `השאלה של הבוט: "${safeStr(question)}"\nהמתקשר אמר: "${safeStr(text)}"`;
+
+  try {
+    const out = normalizeText(await openaiResponse({ system: sys, user, maxTokens: 5, timeoutMs: ENV.MB_INTENT_TIMEOUT_MS }));
+    const intent = out.replace(/\s+/g, "_");
+    if (INTENTS.has(intent)) return { intent, source: "llm" };
+  } catch (e) {
+    logError("Intent LLM failed, using heuristic", String(e?.message || e));
+  }
+  return { intent: heuristic, source: "heuristic" };
+}
+
+// -------------------- Knowledge base --------------------
+// MB_KB_DIR holds *.md ("## question | variant" heading, optional "keywords:" line, answer text) and *.json
+// ([{ id, questions, keywords, answer }]) files. They are re-read when a file changes, so answers can be
+// edited without a deploy. Answers are spoken as written ("direct") or, with MB_KB_ANSWER_MODE=llm,
+// rephrased by OpenAI strictly from the best matching entries.
+// Files are Hebrew unless named for a locale ("faq.en.md"); a call is answered only from its own language's
+// entries, so a language without any gets the fallback reply instead of a Hebrew answer.
+const KB_STOPWORDS = new Set([
+  "של", "את", "על", "זה", "זו", "זאת", "יש", "לכם", "לך", "אני", "אתם", "אתה", "הוא", "היא", "מה", "כמה",
+  "מי", "איך", "האם", "עם", "גם", "רק", "או", "אם", "כן", "לא", "אפשר", "רוצה", "רציתי", "לדעת", "לשאול", "שאלה",
+  "בבקשה", "תגיד", "תגידי", "תגידו", "טוב", "אז", "ככה", "שם",
+]);
+
+let kbState = { signature: "", checkedAt: 0, entries: [] };
+
+function kbTokens(text, locale = HEBREW_LOCALE) {
+  const stopwords = locale === HEBREW_LOCALE ? KB_STOPWORDS : locale.kbStopwords;
+  return foldHebrew(text)
+    .split(" ")
+    .filter((t) => t.length > 1 && !stopwords.has(t));
+}
+
+function kbFileLanguage(file) {
+  const m = /\.([a-z]{2,3})\.(?:md|json)$/i.exec(file);
+  return m ? m[1].toLowerCase() : HEBREW_LOCALE.id;
+}
+
+function parseKbMarkdown(raw, file) {
+  const entries = [];
+  let cur = null;
+  const flush = () => {
+    if (cur && cur.answer.trim()) entries.push({ ...cur, answer: cur.answer.replace(/\s+/g, " ").trim() });
+  };
+  for (const line of raw.split(/\r?\n/)) {
+    if (line.startsWith("## ")) {
+      flush();
+      const questions = line.slice(3).split("|").map(safeStr).filter(Boolean);
+      cur = { id: `${file}#${entries.length + 1}`, questions, keywords: [], answer: "" };
+    } else if (!cur || line.startsWith("#")) {
+      continue;
+    } else if (/^keywords\s*:/i.test(line)) {
+      cur.keywords.push(...line.replace(/^keywords\s*:/i, "").split(",").map(safeStr).filter(Boolean));
+    } else {
+      cur.answer += ` ${line}`;
+    }
+  }
+  flush();
+  return entries;
+}
+
+function kbFileSignature() {
+  try {
+    return fs
+      .readdirSync(ENV.MB_KB_DIR)
+      .filter((f) => f.endsWith(".md") || f.endsWith(".json"))
+      .sort()
+      .map((f) => `${f}:${fs.statSync(path.join(ENV.MB_KB_DIR, f)).mtimeMs}`)
+      .join("|");
+  } catch {
+    return "";
+  }
+}
+
+function loadKb(signature) {
+  const entries = [];
+  for (const file of signature ? signature.split("|").map((x) => x.slice(0, x.lastIndexOf(":"))) : []) {
+    try {
+      const locale = LOCALES.get(kbFileLanguage(file));
+      if (!locale) {
+        logError("KB file for an unknown language, skipped", { file });
+        continue;
+      }
+      const raw = fs.readFileSync(path.join(ENV.MB_KB_DIR, file), "utf8");
+      const list = file.endsWith(".json")
+        ? (JSON.parse(raw) || []).map((e, i) => ({
+            id: safeStr(e.id) || `${file}#${i + 1}`,
+            questions: [].concat(e.questions || e.question || []).map(safeStr).filter(Boolean),
+            keywords: [].concat(e.keywords || []).map(safeStr).filter(Boolean),
+            answer: safeStr(e.answer),
+          }))
+        : parseKbMarkdown(raw, file);
+      for (const e of list) {
+        if (!e.answer || !(e.questions.length || e.keywords.length)) continue;
+        const tokens = [...new Set([...e.questions, ...e.keywords].flatMap((q) => kbTokens(q, locale)))];
+        entries.push({ ...e, language: locale.id, tokens });
+      }
+    } catch (e) {
+      logError("KB file load failed", { file, error: String(e?.message || e) });
+    }
+  }
+  logInfo("KB loaded", { dir: ENV.MB_KB_DIR, entries: entries.length });
+  return entries;
+}
+
+function getKbEntries(force = false) {
+  const now = Date.now();
+  if (!force && now - kbState.checkedAt < ENV.MB_KB_RELOAD_MS) return kbState.entries;
+  kbState.checkedAt = now;
+  const signature = kbFileSignature();
+  if (force || signature !== kbState.signature) kbState = { signature, checkedAt: now, entries: loadKb(signature) };
+  return kbState.entries;
+}
+
+function searchKb(text, limit = 3, locale = HEBREW_LOCALE) {
+  const query = kbTokens(text, locale);
+  const phrase = foldHebrew(text);
+  if (!phrase) return [];
+  return getKbEntries()
+    .filter((entry) => entry.language === locale.id)
+    .map((entry) => {
+      // short questions made only of stopwords ("מי זה?") can still match a listed phrasing exactly
+      if (entry.questions.some((q) => foldHebrew(q) === phrase)) return { entry, score: 1 };
+      if (!query.length) return { entry, score: 0 };
+      let matched = 0;
+      for (const q of query) {
+        let best = 0;
+        for (const t of entry.tokens) best = Math.max(best, tokenSimilarity(q, t), tokenSimilarity(t, q));
+        if (best >= 0.8) matched += best;
+      }
+      return { entry, score: Math.round((matched / query.length) * 100) / 100 };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+async function answerFromKb(text, minScore, locale = HEBREW_LOCALE) {
+  const hits = searchKb(text, 3, locale);
+  const best = hits[0];
+  if (!best || best.score < minScore) return null;
+
+  if (ENV.MB_KB_ANSWER_MODE !== "llm" || !ENV.OPENAI_API_KEY) return { answer: best.entry.answer, id: best.entry.id, score: best.score };
+
+  const context = hits
+    .filter((h) => h.score >= minScore)
+    .map((h) => `שאלה: ${h.entry.questions.join(" / ")}\nתשובה: ${h.entry.answer}`)
+    .join("\n\n");
+  const sys =
+    (locale === HEBREW_LOCALE ? "אתם עונים בטלפון בעברית" : `אתם עונים בטלפון בשפה הזו בלבד: ${locale.name}`) +
+    ", במשפט אחד או שניים קצרים. " +
+    "מותר להשתמש רק במידע שבמאגר שלהלן, בלי להוסיף שום עובדה. אל תשאלו שאלות.\n\n" +
+    `מאגר:\n${context}`;
+  try {
+    const out = await openaiResponse({ system: sys, user: safeStr(text), maxTokens: 120, timeoutMs: ENV.MB_FALLBACK_TIMEOUT_MS });
+    if (out) return { answer: out.slice(0, 300), id: best.entry.id, score: best.score };
+  } catch (e) {
+    logError("KB LLM answer failed, using entry text", String(e?.message || e));
+  }
+  return { answer: best.entry.answer, id: best.entry.id, score: best.score };
+}
+
+// -------------------- Choice catalogs --------------------
+// A catalog is a JSON document: { id, options: [{ id, label, synonyms }] }. Choice steps reference it by id
+// ("catalog": "study_tracks") and get back { id, label, score, ambiguous } for the best fuzzy match.
+const HEB_FINAL_LETTERS = { "ך": "כ", "ם": "מ", "ן": "נ", "ף": "פ", "ץ": "צ" };
+const HEB_PREFIX_LETTERS = /^[והבלמש]/;
+
+function foldHebrew(s) {
+  return normalizeText((s || "").toString().replace(/[֑-ׇ]/g, "")).replace(
+    /[ךםןףץ]/g,
+    (ch) => HEB_FINAL_LETTERS[ch]
+  );
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function tokenSimilarity(token, word) {
+  // "בהנדסאי", "לחשמל" -> also try without a one-letter Hebrew prefix
+  const variants = [token];
+  if (token.length > 3 && HEB_PREFIX_LETTERS.test(token)) variants.push(token.slice(1));
+  let best = 0;
+  for (const v of variants) {
+    const len = Math.max(v.length, word.length);
+    if (len) best = Math.max(best, 1 - levenshtein(v, word) / len);
+  }
+  return best;
+}
+
+function phraseSimilarity(tokens, phrase) {
+  const words = phrase.split(" ").filter(Boolean);
+  if (!words.length || tokens.length < words.length) return 0;
+  let best = 0;
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const sum = words.reduce((acc, w, j) => acc + tokenSimilarity(tokens[i + j], w), 0);
+    best = Math.max(best, sum / words.length);
+  }
+  return best;
+}
+
+function matchChoice(text, options, opts = {}) {
+  const min = Number.isFinite(opts.min) ? opts.min : 0.72;
+  const confident = Number.isFinite(opts.confident) ? opts.confident : 0.86;
+  const margin = Number.isFinite(opts.margin) ? opts.margin : 0.08;
+
+  const tokens = foldHebrew(text).split(" ").filter(Boolean);
+  if (!tokens.length || !(options || []).length) return null;
+
+  const scored = options
+    .map((opt) => {
+      const phrases = [opt.label, ...Object.values(opt.labels || {}), ...(opt.synonyms || [])].map(foldHebrew).filter(Boolean);
+      return { opt, score: Math.max(0, ...phrases.map((p) => phraseSimilarity(tokens, p))) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scored;
+  if (!best || best.score < min) return null;
+
+  const close = second && second.score >= min && best.score - second.score < margin;
+  return {
+    id: best.opt.id,
+    // "labels": { "en": "Electrical technician" } — what is read back in the caller's language
+    label: best.opt.labels?.[opts.language] || best.opt.label,
+    score: Math.round(best.score * 100) / 100,
+    ambiguous: best.score < confident || !!close,
+  };
+}
+
+function loadCatalogs() {
+  const catalogs = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(ENV.MB_CATALOGS_DIR).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    logError("CATALOG dir unreadable", { dir: ENV.MB_CATALOGS_DIR, error: String(e?.message || e) });
+  }
+
+  for (const file of files) {
+    try {
+      const cat = JSON.parse(fs.readFileSync(path.join(ENV.MB_CATALOGS_DIR, file), "utf8"));
+      const options = (cat.options || []).filter((o) => safeStr(o?.id) && safeStr(o?.label));
+      if (!safeStr(cat.id) || !options.length) {
+        logError("CATALOG invalid, skipped", { file });
+        continue;
+      }
+      catalogs.set(cat.id, options);
+    } catch (e) {
+      logError("CATALOG load failed", { file, error: String(e?.message || e) });
+    }
+  }
+
+  logInfo("CATALOGS loaded", { ids: [...catalogs.keys()] });
+  return catalogs;
+}
+
+const CATALOGS = loadCatalogs();
+
+function getCatalog(id) {
+  return CATALOGS.get(safeStr(id)) || [];
+}
+
+// -------------------- Call flows --------------------
+// A flow is a JSON document: { id, start, steps: { STEP_ID: step } }.
+// optional "opening": spoken by the bot when Twilio did not already play an opening (opening_played != 1).
+// optional "handoff": { callbackStep } — step used when a caller asks for an agent outside transfer hours.
+// "goto": "$return" resumes the step that was interrupted by such a detour.
+// optional "recording": { consentStep } — asked before "start" when recording is on; its transitions carry
+// "consent": "granted" | "declined", and only "granted" starts the Twilio recording.
+// step: { parser, prompt, reprompt, retryKey, maxRetries (0 = unlimited), onFail, set, on, next, alternates,
+//         intents (false = skip off-script classification, e.g. for free-text steps),
+//         accumulateDigits (phone steps: join a number said in chunks over several utterances),
+//         redirect (transitions checked when the step is entered; the first passing "goto" replaces it),
+//         keypad ("digits": keys up to "#" go through the step's parser; or { "1": "yes", "2": "no" }: key -> value),
+//         keypadHint (said after the first failed attempt, e.g. "or type it on the keypad") }
+// transition: { when, say, set, consent, returning, goto, ask, end, skipClosing } — "next"/"on.*" may also be a step
+// id or an array of transitions (first one whose "when" passes wins). "returning": true marks a returning caller once
+// they confirm the name found for their number (pending.known). Values starting with "$" are read from the flow
+// scope ({ value, pending, lead, call }); prompts may use {{path}} or {{path|formatter}}.
+const FLOW_DONE = "DONE";
+const FLOW_RETURN = "$return";
+// a transcript this soon after a key press is the keypad tone, not the caller speaking
+const KEYPAD_ECHO_MS = 2500;
+
+// parsers get (text, step, locale); locale is the call's current language
+const STEP_PARSERS = {
+  name: (text, step, locale) => parseName(text, locale),
+  spelled_name: (text, step, locale) => parseSpelledName(text, locale),
+  phone: (text, step, locale) => {
+    const p = extractPhoneFromTranscript(text, locale);
+    return p || null;
+  },
+  yesno: (text, step, locale) => detectYesNo(text, locale),
+  free_text: (text) => safeStr(text) || null,
+  // day/time phrases are parsed in Hebrew only; in other languages the agent gets what the caller said
+  datetime: (text, step, locale = HEBREW_LOCALE) =>
+    locale === HEBREW_LOCALE ? parseCallbackTime(text) : safeStr(text) ? { iso: "", speech: safeStr(text), text: safeStr(text) } : null,
+  anytime: (text) => {
+    const t = normalizeText(text);
+    const any = ["לא משנה", "מתי שנוח", "מתי שתרצו", "כל זמן", "בכל זמן", "מתי שבא לכם", "לא חשוב", "כל שעה"];
+    return any.some((p) => t.includes(p)) ? "any" : null;
+  },
+  choice: (text, step, locale = HEBREW_LOCALE) =>
+    matchChoice(text, step.choices || getCatalog(step.catalog), { ...step.match, language: locale.id }),
+};
+
+const FLOW_CONDITIONS = {
+  mobile_caller: (scope) => isMobileCallerE164(scope.call.caller) && !!scope.call.callerPhoneLocal,
+  ambiguous_match: (scope) => !!scope.value?.ambiguous,
+  known_caller: (scope) => !!scope.pending.known?.first,
+  has_track: (scope) => !!scope.lead.study_track,
+  has_phone: (scope) => !!scope.lead.phone_number,
+  // a callback time was already collected (e.g. on the after-hours transfer detour)
+  has_callback: (scope) => !!(scope.lead.callback_at || scope.lead.callback_time_text),
+  mobile_caller_with_callback: (scope) => FLOW_CONDITIONS.mobile_caller(scope) && FLOW_CONDITIONS.has_callback(scope),
+};
+
+const FLOW_FORMATTERS = {
+  phone: (v, scope) => phoneForSpeech(v, scope.locale),
+};
+
+function readFlowPath(scope, path) {
+  return String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), scope);
+}
+
+function writeFlowPath(scope, path, value) {
+  const keys = String(path || "").split(".").filter(Boolean);
+  const last = keys.pop();
+  if (!last) return;
+  let obj = scope;
+  for (const key of keys) {
+    if (!obj[key] || typeof obj[key] !== "object") obj[key] = {};
+    obj = obj[key];
+  }
+  obj[last] = value;
+}
+
+function resolveFlowValue(expr, scope) {
+  if (typeof expr !== "string" || !expr.startsWith("$")) return expr;
+  const v = readFlowPath(scope, expr.slice(1));
+  return v == null ? "" : v;
+}
+
+function renderFlowText(text, scope) {
+  return safeStr(text).replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, path, fmt) => {
+    const v = readFlowPath(scope, path);
+    const f = fmt && FLOW_FORMATTERS[fmt];
+    return f ? f(v, scope) : safeStr(v);
+  });
+}
+
+function flowConditionPasses(when, scope) {
+  if (!when) return true;
+  const negate = when.startsWith("!");
+  const fn = FLOW_CONDITIONS[negate ? when.slice(1) : when];
+  const ok = fn ? !!fn(scope) : false;
+  return negate ? !ok : ok;
+}
+
+function pickTransition(spec, scope) {
+  if (!spec) return null;
+  if (typeof spec === "string") return { goto: spec };
+  const list = Array.isArray(spec) ? spec : [spec];
+  for (const tr of list) {
+    if (typeof tr === "string") return { goto: tr };
+    if (tr && flowConditionPasses(tr.when, scope)) return tr;
+  }
+  return null;
+}
+
+function applyFlowSet(set, scope) {
+  for (const [path, expr] of Object.entries(set || {})) {
+    writeFlowPath(scope, path, resolveFlowValue(expr, scope));
+  }
+}
+
+function validateFlow(flow) {
+  const errors = [];
+  if (!flow || typeof flow !== "object") return ["not an object"];
+  if (!safeStr(flow.id)) errors.push("missing id");
+  const steps = flow.steps && typeof flow.steps === "object" ? flow.steps : null;
+  if (!steps || !Object.keys(steps).length) return errors.concat("missing steps");
+  if (!steps[flow.start]) errors.push(`start step "${flow.start}" not found`);
+  if (flow.handoff?.callbackStep && !steps[flow.handoff.callbackStep]) {
+    errors.push(`handoff.callbackStep "${flow.handoff.callbackStep}" not found`);
+  }
+  if (flow.recording?.consentStep && !steps[flow.recording.consentStep]) {
+    errors.push(`recording.consentStep "${flow.recording.consentStep}" not found`);
+  }
+
+  const checkTransition = (where, spec) => {
+    if (!spec) return;
+    const list = Array.isArray(spec) ? spec : [spec];
+    for (const tr of list) {
+      const goto = typeof tr === "string" ? tr : tr?.goto;
+      if (goto && goto !== FLOW_RETURN && !steps[goto]) errors.push(`${where}: unknown step "${goto}"`);
+      const when = safeStr(tr?.when).replace(/^!/, "");
+      if (when && !FLOW_CONDITIONS[when]) errors.push(`${where}: unknown condition "${when}"`);
+      if (tr && typeof tr === "object" && !goto && !tr.end) errors.push(`${where}: transition needs goto or end`);
+      if (tr?.consent && !["granted", "declined"].includes(tr.consent)) errors.push(`${where}: bad consent "${tr.consent}"`);
+    }
+  };
+
+  for (const [id, step] of Object.entries(steps)) {
+    if (!STEP_PARSERS[step.parser]) errors.push(`${id}: unknown parser "${step.parser}"`);
+    if (!safeStr(step.prompt)) errors.push(`${id}: missing prompt`);
+    if (step.parser === "choice" && !(step.choices || getCatalog(step.catalog)).length) {
+      errors.push(`${id}: choice step without choices or known catalog`);
+    }
+    if (!step.next && !step.on) errors.push(`${id}: no next/on transitions`);
+    checkTransition(`${id}.next`, step.next);
+    checkTransition(`${id}.onFail`, step.onFail);
+    for (const [k, tr] of Object.entries(step.on || {})) checkTransition(`${id}.on.${k}`, tr);
+    checkTransition(`${id}.redirect`, step.redirect);
+    if (step.keypad && step.keypad !== "digits" && typeof step.keypad !== "object") {
+      errors.push(`${id}: keypad must be "digits" or a key map`);
+    }
+    for (const tr of [].concat(step.redirect || [])) {
+      if (tr && typeof tr === "object" && (tr.end || tr.say)) errors.push(`${id}.redirect: only when/set/goto are allowed`);
+    }
+    for (const [i, alt] of (step.alternates || []).entries()) {
+      if (!STEP_PARSERS[alt.parser]) errors.push(`${id}.alternates[${i}]: unknown parser "${alt.parser}"`);
+      if (alt.parser === "choice" && !(alt.choices || getCatalog(alt.catalog)).length) {
+        errors.push(`${id}.alternates[${i}]: choice without choices or known catalog`);
+      }
+      checkTransition(`${id}.alternates[${i}]`, alt);
+    }
+  }
+  return errors;
+}
+
+function loadFlows() {
+  const flows = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(ENV.MB_FLOWS_DIR).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    logError("FLOW dir unreadable", { dir: ENV.MB_FLOWS_DIR, error: String(e?.message || e) });
+  }
+
+  for (const file of files) {
+    try {
+      const flow = JSON.parse(fs.readFileSync(path.join(ENV.MB_FLOWS_DIR, file), "utf8"));
+      const errors = validateFlow(flow);
+      if (errors.length) {
+        logError("FLOW invalid, skipped", { file, errors });
+        continue;
+      }
+      flows.set(flow.id, flow);
+    } catch (e) {
+      logError("FLOW load failed", { file, error: String(e?.message || e) });
+    }
+  }
+
+  if (!flows.has(ENV.MB_FLOW_ID)) {
+    throw new Error(`Default flow "${ENV.MB_FLOW_ID}" not found in ${ENV.MB_FLOWS_DIR}`);
+  }
+  logInfo("FLOWS loaded", { ids: [...flows.keys()], default: ENV.MB_FLOW_ID });
+  return flows;
+}
+
+const FLOWS = loadFlows();
+
+function getFlow(id) {
+  return FLOWS.get(safeStr(id)) || FLOWS.get(ENV.MB_FLOW_ID);
+}
+
+// First step of a call: the recording-consent question when we are going to record, otherwise "start".
+function flowEntryStep(flow) {
+  const consentStep = flow.recording?.consentStep;
+  if (ENV.MB_ENABLE_RECORDING && ENV.MB_RECORDING_CONSENT && consentStep) return consentStep;
+  return flow.start;
+}
+
+// -------------------- Business hours --------------------
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function zonedParts(date = new Date(), timeZone = ENV.TIME_ZONE) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+  for (const p of fmt.formatToParts(date)) parts[p.type] = p.value;
+  return {
+    weekday: WEEKDAYS.indexOf(String(parts.weekday).toLowerCase()),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+function parseHoursSpec(spec) {
+  const rules = [];
+  for (const chunk of safeStr(spec).toLowerCase().split(/[,;]/)) {
+    const m = chunk.trim().match(/^([a-z]{3})(?:-([a-z]{3}))?\s+(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!m) {
+      if (chunk.trim()) logError("HOURS spec ignored", { chunk: chunk.trim() });
+      continue;
+    }
+    const from = WEEKDAYS.indexOf(m[1]);
+    const to = WEEKDAYS.indexOf(m[2] || m[1]);
+    if (from < 0 || to < 0) {
+      logError("HOURS spec ignored", { chunk: chunk.trim() });
+      continue;
+    }
+    const days = new Set();
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+    rules.push({ days, start: Number(m[3]) * 60 + Number(m[4]), end: Number(m[5]) * 60 + Number(m[6]) });
+  }
+  return rules;
+}
+
+// empty spec = always open
+function isWithinHours(spec, date = new Date()) {
+  const rules = parseHoursSpec(spec);
+  if (!rules.length) return true;
+  const p = zonedParts(date);
+  const minutes = p.hour * 60 + p.minute;
+  return rules.some((r) => r.days.has(p.weekday) && minutes >= r.start && minutes < r.end);
+}
+
+// -------------------- Callback time parsing --------------------
+// Turns "מחר בבוקר", "יום שלישי אחרי ארבע", "בעוד שעה", "היום בחמש וחצי" into a slot in TIME_ZONE.
+// Bare hours 1..7 are afternoon, 8..11 morning, unless a part of day ("בבוקר", "בערב") says otherwise.
+// A time that has already passed today moves to tomorrow, or a week ahead when today's weekday was named;
+// "היום" with a time that has passed is not a slot at all (null, so the step asks again).
+const HEB_WEEKDAY_NAMES = ["ראשון", "שני", "שלישי", "רביעי", "חמישי", "שישי", "שבת"];
+const HEB_HOUR_WORDS = [
+  ["אחת עשרה", 11], ["אחד עשר", 11], ["שתים עשרה", 12], ["שתיים עשרה", 12], ["שנים עשר", 12],
+  ["אחת", 1], ["אחד", 1], ["שתיים", 2], ["שתים", 2], ["שניים", 2], ["שלוש", 3], ["ארבע", 4], ["חמש", 5],
+  ["שש", 6], ["שבע", 7], ["שמונה", 8], ["תשע", 9], ["עשר", 10],
+];
+const HEB_AMOUNT_WORDS = { "שתי": 2, "שלוש": 3, "ארבע": 4, "חמש": 5, "עשר": 10, "עשרים": 20, "שלושים": 30, "ארבעים": 40 };
+const DAY_PARTS = [
+  ["אחר הצהריים", 16, "pm"], ["אחרי הצהריים", 16, "pm"], ["אחה צ", 16, "pm"], ["לפני הצהריים", 10, "am"],
+  ["בצהריים", 13, "pm"], ["צהריים", 13, "pm"], ["בבוקר", 10, "am"], ["בוקר", 10, "am"],
+  ["בערב", 19, "pm"], ["ערב", 19, "pm"], ["בלילה", 20, "pm"],
+];
+
+function zonedTimeToDate(year, month, day, hour, minute, timeZone = ENV.TIME_ZONE) {
+  // start from the wall time as if it were UTC, then correct by the zone offset (twice, for DST edges)
+  let ts = Date.UTC(year, month - 1, day, hour, minute);
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(ts), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    ts += Date.UTC(year, month - 1, day, hour, minute) - asUtc;
+  }
+  return new Date(ts);
+}
+
+function toZonedIso(date, timeZone = ENV.TIME_ZONE) {
+  const p = zonedParts(date, timeZone);
+  const offsetMin = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  const sign = offsetMin >= 0 ? "+" : "-";
+  const pad = (n) => String(Math.abs(n)).padStart(2, "0");
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:00` +
+    `${sign}${pad(Math.floor(Math.abs(offsetMin) / 60))}:${pad(Math.abs(offsetMin) % 60)}`
+  );
+}
+
+function findHourWord(t) {
+  // longest phrases first so "אחת עשרה" wins over "אחת"; accepts ב/ל prefixes ("בארבע", "לשמונה")
+  for (const [word, hour] of HEB_HOUR_WORDS) {
+    const m = t.match(new RegExp(`(^|\\s)(?:ב|ל|בשעה |אחרי |לפני |בסביבות )?${word}(?=\\s|$)`));
+    if (m) return { hour, index: m.index + m[1].length, match: m[0].trim() };
+  }
+  return null;
+}
+
+function parseCallbackTime(text, now = new Date()) {
+  const t = normalizeText(text).replace(/(\d)\s+(\d{2})(?!\d)/g, "$1:$2");
+  if (!t) return null;
+
+  const today = zonedParts(now);
+  let dayOffset = null;
+  let weekday = false;
+  let hour = null;
+  let minute = 0;
+
+  // "בעוד שעה", "בעוד חצי שעה", "בעוד 20 דקות", "בעוד שלוש שעות"
+  const rel = t.match(/בעוד (חצי שעה|רבע שעה|שעה|שעתיים|(\d+|\S+) (שעות|דקות))/);
+  if (rel) {
+    let minutes = { "חצי שעה": 30, "רבע שעה": 15, "שעה": 60, "שעתיים": 120 }[rel[1]];
+    if (minutes == null) {
+      const n = /^\d+$/.test(rel[2]) ? Number(rel[2]) : HEB_AMOUNT_WORDS[rel[2]];
+      if (!n) return null;
+      minutes = rel[3] === "שעות" ? n * 60 : n;
+    }
+    const at = new Date(Math.ceil((now.getTime() + minutes * 60_000) / 300_000) * 300_000);
+    return describeCallbackSlot(at, now, text);
+  }
+
+  if (t.includes("מחרתיים")) dayOffset = 2;
+  else if (/(^|\s)(מחר|למחר)(\s|$)/.test(t)) dayOffset = 1;
+  else if (/(^|\s)(היום|עוד היום)(\s|$)/.test(t)) dayOffset = 0;
+  else {
+    const wd = t.match(new RegExp(`(^|\\s)(?:ביום |יום |ב)(${HEB_WEEKDAY_NAMES.join("|")})(\\s|$)`));
+    if (wd) {
+      const target = HEB_WEEKDAY_NAMES.indexOf(wd[2]);
+      dayOffset = (target - today.weekday + 7) % 7;
+      weekday = true;
+    }
+  }
+
+  const part = DAY_PARTS.find(([p]) => t.includes(p));
+
+  const digits = t.match(/(?:^|\s)(?:ב|בשעה |אחרי |לפני |בסביבות )?(\d{1,2})(?::(\d{2}))?(?=\s|$)/);
+  const word = digits ? null : findHourWord(t);
+  if (digits) {
+    hour = Number(digits[1]);
+    minute = digits[2] ? Number(digits[2]) : 0;
+  } else if (word) {
+    hour = word.hour;
+    const rest = t.slice(word.index + word.match.length);
+    if (/^\s*וחצי/.test(rest)) minute = 30;
+    else if (/^\s*ורבע/.test(rest)) minute = 15;
+    else if (/^\s*פחות רבע/.test(rest)) {
+      hour = hour === 1 ? 12 : hour - 1;
+      minute = 45;
+    }
+  }
+  if (hour != null && /(^|\s)לפני (ב)?\S/.test(t) && !part) hour = hour === 1 ? 12 : hour - 1;
+
+  if (dayOffset == null && hour == null && !part) return null;
+  if (hour == null) hour = part ? part[1] : ENV.MB_CALLBACK_DEFAULT_HOUR;
+  else if (hour > 23 || minute > 59) return null;
+  else if (hour < 12 && (part ? part[2] === "pm" && hour < 12 : hour <= 7)) hour += 12;
+
+  let offset = dayOffset == null ? 0 : dayOffset;
+  const nowMin = today.hour * 60 + today.minute;
+  if (offset === 0 && hour * 60 + minute < nowMin + 10) {
+    if (dayOffset == null) offset = 1;
+    else if (weekday) offset = 7;
+    else return null;
+  }
+
+  const base = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+  const at = zonedTimeToDate(base.getUTCFullYear(), base.getUTCMonth() + 1, base.getUTCDate(), hour, minute);
+  return describeCallbackSlot(at, now, text);
+}
+
+function describeCallbackSlot(at, now, text) {
+  const p = zonedParts(at);
+  const n = zonedParts(now);
+  const days = Math.round((Date.UTC(p.year, p.month - 1, p.day) - Date.UTC(n.year, n.month - 1, n.day)) / 86_400_000);
+  const dayLabel = days === 0 ? "היום" : days === 1 ? "מחר" : days === 2 ? "מחרתיים" : `ביום ${HEB_WEEKDAY_NAMES[p.weekday]}`;
+  const time = `${p.hour}:${String(p.minute).padStart(2, "0")}`;
+  return { iso: toZonedIso(at), speech: `${dayLabel} בשעה ${time}`, text: safeStr(text) };
+}
+
+// -------------------- Twilio voice entry --------------------
+// Point the Twilio number's "A call comes in" webhook at POST /twilio/voice (optionally ?flow=<id>).
+function xmlEscape(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function mediaStreamUrl(req) {
+  const origin = getPublicOrigin() || `https://${safeStr(req.headers["x-forwarded-host"] || req.headers.host)}`;
+  return `${origin.replace(/^http/, "ws")}/twilio-media-stream`;
+}
+
+// extra = additional stream parameters (outbound calls pass direction/lead); openingMp3 = "" lets the bot speak
+function buildVoiceTwiml({ streamUrl, from, to, flowId, afterHours, extra = {}, openingMp3 = ENV.MB_OPENING_MP3_URL }) {
+  if (afterHours && ENV.MB_AFTER_HOURS_MP3_URL) {
+    return `<Response><Play>${xmlEscape(ENV.MB_AFTER_HOURS_MP3_URL)}</Play><Hangup/></Response>`;
+  }
+  if (afterHours && ENV.MB_AFTER_HOURS_TEXT) {
+    return (
+      `<Response><Say language="${xmlEscape(ENV.MB_TWIML_SAY_LANGUAGE)}">${xmlEscape(ENV.MB_AFTER_HOURS_TEXT)}</Say>` +
+      "<Hangup/></Response>"
+    );
+  }
+
+  const params = {
+    caller: from,
+    called: to,
+    // with an MP3 Twilio plays the opening; otherwise the bot speaks MB_OPENING_TEXT / flow.opening itself
+    opening_played: openingMp3 ? "1" : "0",
+    flow: flowId,
+    after_hours: afterHours ? "1" : "0",
+    ...extra,
+  };
+  const paramXml = Object.entries(params)
+    .filter(([, v]) => safeStr(v))
+    .map(([k, v]) => `<Parameter name="${xmlEscape(k)}" value="${xmlEscape(v)}"/>`)
+    .join("");
+
+  const opening = openingMp3 ? `<Play>${xmlEscape(openingMp3)}</Play>` : "";
+  return `<Response>${opening}<Connect><Stream url="${xmlEscape(streamUrl)}">${paramXml}</Stream></Connect></Response>`;
+}
+
+app.post("/twilio/voice", requireTwilioSignature, (req, res) => {
+  const from = safeStr(req.body?.From);
+  const to = safeStr(req.body?.To);
+  const afterHours = !isWithinHours(ENV.MB_BUSINESS_HOURS);
+  const requestedFlow = safeStr(req.query?.flow);
+  const flowId = afterHours && ENV.MB_AFTER_HOURS_FLOW ? ENV.MB_AFTER_HOURS_FLOW : requestedFlow;
+
+  const twiml = buildVoiceTwiml({ streamUrl: mediaStreamUrl(req), from, to, flowId, afterHours });
+  logInfo("VOICE incoming", { callSid: req.body?.CallSid || "", from, to, afterHours, flow: flowId || ENV.MB_FLOW_ID });
+
+  res.type("text/xml").status(200).send(`<?xml version="1.0" encoding="UTF-8"?>${twiml}`);
+});
+
+// -------------------- Agent transfer --------------------
+// A caller asking for a person during MB_TRANSFER_HOURS (default: MB_BUSINESS_HOURS) is redirected with
+// <Dial> to MB_TRANSFER_TO; the agent first hears a whisper with the captured lead. The Dial outcome arrives
+// on /twilio/transfer-status and lead_final waits for it (up to MB_TRANSFER_FINAL_WAIT_MS after the stream ends).
+const transferWaitTimers = new Map();
+// Dial/Enqueue results that mean the caller actually got through to a person
+const AGENT_REACHED_OUTCOMES = new Set(["answered", "completed", "bridged"]);
+
+// Twilio needs absolute URLs for the Dial action and the whisper, so no public origin means no transfer
+function isTransferConfigured() {
+  return !!ENV.MB_TRANSFER_TO && !!getPublicOrigin();
+}
+
+function isTransferOpen() {
+  return isWithinHours(ENV.MB_TRANSFER_HOURS || ENV.MB_BUSINESS_HOURS);
+}
+
+function catalogLabel(id) {
+  for (const options of CATALOGS.values()) {
+    const opt = options.find((o) => o.id === id);
+    if (opt) return opt.label;
+  }
+  return id || "";
+}
+
+function leadWhisperText(c) {
+  const name = `${c.lead.first_name || ""} ${c.lead.last_name || ""}`.trim();
+  const phone = digitsOnly(c.lead.phone_number || c.callerPhoneLocal);
+  return [
+    "שיחה מועברת מהבוט.",
+    name ? `שם: ${name}.` : "",
+    c.lead.study_track ? `מסלול: ${catalogLabel(c.lead.study_track)}.` : "",
+    phone ? `טלפון: ${phoneForSpeech(phone)}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function buildTransferTwiml(callSid) {
+  const origin = getPublicOrigin();
+  const q = `callSid=${encodeURIComponent(callSid)}`;
+  const action = `${origin}/twilio/transfer-status?${q}`;
+
+  if (ENV.MB_TRANSFER_TO.startsWith("queue:")) {
+    const queue = ENV.MB_TRANSFER_TO.slice("queue:".length);
+    return `<Response><Enqueue action="${xmlEscape(action)}">${xmlEscape(queue)}</Enqueue></Response>`;
+  }
+
+  const callerId = ENV.MB_TRANSFER_CALLER_ID ? ` callerId="${xmlEscape(ENV.MB_TRANSFER_CALLER_ID)}"` : "";
+  const whisper = `${origin}/twilio/whisper?${q}`;
+  const answered = `${origin}/twilio/transfer-status?${q}&event=answered`;
+  return (
+    `<Response><Dial action="${xmlEscape(action)}" timeout="${ENV.MB_TRANSFER_TIMEOUT_S}"${callerId}>` +
+    `<Number url="${xmlEscape(whisper)}" statusCallback="${xmlEscape(answered)}" statusCallbackEvent="answered">` +
+    `${xmlEscape(ENV.MB_TRANSFER_TO)}</Number></Dial></Response>`
+  );
+}
+
+async function redirectCallTwiml(callSid, twiml) {
+  if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN) return { ok: false, reason: "twilio_auth_missing" };
+
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${ENV.TWILIO_ACCOUNT_SID}/Calls/${callSid}.json`;
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: twilioAuthHeader(), "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ Twiml: twiml }),
+    });
+    const text = await res.text().catch(() => "");
+    return { ok: res.ok, status: res.status, body: text, reason: res.ok ? "redirect_ok" : "redirect_http_error" };
+  } catch (e) {
+    return { ok: false, reason: "redirect_error", error: String(e?.message || e) };
+  }
+}
+
+// Used for both ends of the media stream (stop / socket close): holds lead_final back while a transfer outcome
+// is still unknown, so the CRM gets transferred_to_agent together with how it ended.
+async function sendFinalAfterStream(callSid, reason) {
+  const c = getCall(callSid);
+  if (c.finalSent) return;
+  const t = c.meta.transfer;
+  if (t?.status !== "initiated") return sendFinal(callSid, reason);
+  if (t.outcome) return sendFinal(callSid, "transferred_to_agent");
+
+  if (transferWaitTimers.has(callSid)) return;
+  transferWaitTimers.set(
+    callSid,
+    setTimeout(() => {
+      transferWaitTimers.delete(callSid);
+      sendFinal(callSid, "transferred_to_agent").catch((e) => logError("CRM final after transfer failed", String(e?.message || e)));
+    }, Math.max(0, ENV.MB_TRANSFER_FINAL_WAIT_MS))
+  );
+}
+
+async function recordTransferOutcome(callSid, outcome) {
+  const c = getCall(callSid);
+  if (!c.meta.transfer) return;
+  c.meta.transfer.outcome = outcome;
+  c.meta.transfer.outcomeAt = nowIso();
+  saveCall(c);
+  logCallEvent(callSid, "transfer_outcome", { outcome });
+  logInfo("TRANSFER outcome", { callSid, outcome });
+
+  const timer = transferWaitTimers.get(callSid);
+  if (timer) {
+    clearTimeout(timer);
+    transferWaitTimers.delete(callSid);
+    await sendFinal(callSid, "transferred_to_agent");
+  }
+}
+
+app.post("/twilio/whisper", requireTwilioSignature, (req, res) => {
+  const callSid = safeStr(req.query?.callSid);
+  const text = callSid ? leadWhisperText(getCall(callSid)) : "";
+  res
+    .type("text/xml")
+    .send(`<?xml version="1.0" encoding="UTF-8"?><Response><Say language="${xmlEscape(ENV.MB_TWIML_SAY_LANGUAGE)}">${xmlEscape(text)}</Say></Response>`);
+});
+
+app.post("/twilio/transfer-status", requireTwilioSignature, async (req, res) => {
+  const callSid = safeStr(req.query?.callSid);
+  const answeredEvent = safeStr(req.query?.event) === "answered";
+  // Dial action -> DialCallStatus, Enqueue action -> QueueResult, Number statusCallback -> CallStatus
+  const outcome = answeredEvent ? "answered" : safeStr(req.body?.DialCallStatus || req.body?.QueueResult || req.body?.CallStatus);
+
+  let twiml = "<Response/>";
+  if (!answeredEvent && !AGENT_REACHED_OUTCOMES.has(outcome)) {
+    const locale = (callSid && getCallLocale(getCall(callSid).meta.language)) || HEBREW_LOCALE;
+    const text = localizeText(PROMPTS.transferNoAnswer, locale);
+    twiml = `<Response><Say language="${xmlEscape(locale.say)}">${xmlEscape(text)}</Say><Hangup/></Response>`;
+  }
+  res.type("text/xml").send(`<?xml version="1.0" encoding="UTF-8"?>${twiml}`);
+
+  if (callSid && outcome) {
+    const c = getCall(callSid);
+    // the final Dial result ("completed") should not be overwritten by nothing, nor "answered" by an earlier state
+    if (!(answeredEvent && c.meta.transfer?.outcome)) await recordTransferOutcome(callSid, outcome).catch(() => {});
+  }
+});
+
+// -------------------- TTS phrase cache --------------------
+// Fixed prompts (PROMPTS, MB_OPENING_TEXT and every template-free line in the flows) are cached as μ-law,
+// keyed by sha256 of text + primary provider + voice settings, in memory and under MB_TTS_CACHE_DIR.
+// Only audio from the primary provider is stored, so a failover voice never sticks in the cache.
+const ttsCache = new Map();
+const ttsCacheStats = { hits: 0, misses: 0, stored: 0, warmed: 0 };
+let staticPrompts = new Map();
+
+function ttsVoiceSettings(provider, language) {
+  if (provider === "elevenlabs") {
+    return {
+      voice: ENV.ELEVEN_VOICE_ID,
+      model: ENV.ELEVEN_TTS_MODEL,
+      format: ENV.ELEVEN_OUTPUT_FORMAT,
+      language: language || ENV.ELEVENLABS_LANGUAGE,
+      stability: ENV.ELEVENLABS_STABILITY,
+      style: ENV.ELEVENLABS_STYLE,
+      speed: ENV.MB_SPEECH_SPEED,
+    };
+  }
+  if (provider === "openai") {
+    return { voice: ENV.OPENAI_TTS_VOICE || ENV.OPENAI_VOICE, model: ENV.OPENAI_TTS_MODEL, speed: ENV.MB_SPEECH_SPEED };
+  }
+  return null;
+}
+
+function primaryTtsProvider() {
+  return ttsProviderOrder().find((name) => TTS_PROVIDERS[name].configured()) || "";
+}
+
+function ttsCacheKey(provider, text, language) {
+  const settings = ttsVoiceSettings(provider, language);
+  if (!settings) return "";
+  return crypto.createHash("sha256").update(JSON.stringify({ provider, text: safeStr(text), settings })).digest("hex");
+}
+
+function readTtsCache(key) {
+  if (ttsCache.has(key)) return ttsCache.get(key);
+  if (!ENV.MB_TTS_CACHE_DIR) return null;
+  try {
+    const audio = fs.readFileSync(path.join(ENV.MB_TTS_CACHE_DIR, `${key}.ulaw`));
+    ttsCache.set(key, audio);
+    return audio;
+  } catch {
+    return null;
+  }
+}
+
+function writeTtsCache(key, audio) {
+  if (!audio.length) return;
+  ttsCache.set(key, audio);
+  ttsCacheStats.stored += 1;
+  if (!ENV.MB_TTS_CACHE_DIR) return;
+  try {
+    fs.mkdirSync(ENV.MB_TTS_CACHE_DIR, { recursive: true });
+    const file = path.join(ENV.MB_TTS_CACHE_DIR, `${key}.ulaw`);
+    fs.writeFileSync(`${file}.tmp`, audio);
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    logError("TTS cache write failed", { key, error: String(e?.message || e) });
+  }
+}
+
+// text -> TTS language it is spoken in
+function collectStaticPrompts() {
+  const texts = new Set([...Object.values(PROMPTS), ENV.MB_OPENING_TEXT]);
+  const addTransitions = (spec) => {
+    for (const tr of Array.isArray(spec) ? spec : [spec]) if (tr && typeof tr === "object") texts.add(tr.say);
+  };
+  for (const flow of FLOWS.values()) {
+    texts.add(flow.opening);
+    for (const step of Object.values(flow.steps)) {
+      texts.add(step.prompt);
+      texts.add(step.reprompt);
+      texts.add(step.keypadHint);
+      addTransitions(step.next);
+      addTransitions(step.onFail);
+      for (const tr of Object.values(step.on || {})) addTransitions(tr);
+      for (const alt of step.alternates || []) addTransitions(alt);
+    }
+  }
+  if (ENV.MB_KB_ANSWER_MODE !== "llm") for (const e of getKbEntries()) texts.add(e.answer);
+  const prompts = new Map();
+  const add = (text, locale) => {
+    const t = safeStr(text);
+    if (t && !t.includes("{{") && !prompts.has(t)) prompts.set(t, locale.tts);
+  };
+  for (const text of texts) add(text, HEBREW_LOCALE);
+  for (const locale of CALL_LOCALES) {
+    add(locale.menu, locale);
+    for (const text of locale.texts.values()) add(text, locale);
+  }
+  return prompts;
+}
+
+async function synthesizeCachedUlaw(text, onAudioChunk, signal, language) {
+  const primary = primaryTtsProvider();
+  const key = primary && staticPrompts.has(safeStr(text)) ? ttsCacheKey(primary, text, language) : "";
+
+  const cached = key ? readTtsCache(key) : null;
+  if (cached) {
+    ttsCacheStats.hits += 1;
+    for (let i = 0; i < cached.length; i += CLIP_CHUNK_BYTES) {
+      if (signal?.aborted) break;
+      await onAudioChunk(cached.subarray(i, i + CLIP_CHUNK_BYTES));
+    }
+    return { provider: "cache", firstByteMs: 0 };
+  }
+
+  if (key) ttsCacheStats.misses += 1;
+  const chunks = [];
+  const r = await synthesizeUlaw(
+    text,
+    async (chunk) => {
+      if (key) chunks.push(Buffer.from(chunk));
+      await onAudioChunk(chunk);
+    },
+    signal,
+    language
+  );
+  if (key && r.provider === primary && !signal?.aborted) writeTtsCache(key, Buffer.concat(chunks));
+  return r;
+}
+
+async function warmTtsCache() {
+  staticPrompts = collectStaticPrompts();
+  const primary = primaryTtsProvider();
+  if (!ENV.MB_TTS_WARMUP || !ttsVoiceSettings(primary)) return;
+
+  for (const [text, language] of staticPrompts) {
+    const key = ttsCacheKey(primary, text, language);
+    if (readTtsCache(key)) continue;
+    try {
+      const chunks = [];
+      await TTS_PROVIDERS[primary].stream(text, async (chunk) => chunks.push(Buffer.from(chunk)), undefined, language);
+      writeTtsCache(key, Buffer.concat(chunks));
+      ttsCacheStats.warmed += 1;
+    } catch (e) {
+      logError("TTS warm-up failed", { provider: primary, text, error: String(e?.message || e) });
+    }
+  }
+  logInfo("TTS cache warm", { provider: primary, prompts: staticPrompts.size, ...ttsCacheStats });
+}
+
+// -------------------- Admin API --------------------
+// Enabled only when MB_ADMIN_TOKEN is set; pass it as "Authorization: Bearer <token>", or as the password of
+// Basic auth (what a browser prompts for). Never in the query string, where it would end up in access logs.
+function adminToken(req) {
+  const header = safeStr(req.headers.authorization);
+  const [scheme, value = ""] = header.split(/\s+/, 2);
+  if (scheme.toLowerCase() === "bearer") return value.trim();
+  if (scheme.toLowerCase() !== "basic") return "";
+  const decoded = Buffer.from(value, "base64").toString("utf8");
+  return decoded.slice(decoded.indexOf(":") + 1);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ENV.MB_ADMIN_TOKEN) return res.status(404).send("not found");
+  if (adminToken(req) !== ENV.MB_ADMIN_TOKEN) {
+    res.set("WWW-Authenticate", 'Basic realm="admin"');
+    return res.status(401).send("unauthorized");
+  }
+  next();
+}
+
+app.get("/admin/calls", requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query?.limit) || 100));
+  const since = safeStr(req.query?.since);
+  const until = safeStr(req.query?.until);
+  res.json({ store: callStore.kind, calls: callStore.list({ since, until, limit }) });
+});
+
+app.get("/admin/outbox", requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query?.limit) || 100));
+  const status = safeStr(req.query?.status);
+  res.json({ entries: callStore.outboxList({ status, limit }) });
+});
+
+app.post("/admin/outbox/replay", requireAdmin, async (req, res) => {
+  // replays every dead-lettered entry, or only the ids given in the body
+  const ids = Array.isArray(req.body?.ids)
+    ? req.body.ids.map(safeStr).filter(Boolean)
+    : callStore.outboxList({ status: "dead", limit: 1000 }).map((e) => e.id);
+  const replayed = ids.map(replayOutboxEntry).filter(Boolean);
+  await processCrmOutbox();
+  res.json({ replayed: replayed.length, entries: replayed.map((e) => callStore.outboxGet(e.id)) });
+});
+
+app.post("/admin/outbox/:id/replay", requireAdmin, async (req, res) => {
+  const entry = replayOutboxEntry(safeStr(req.params?.id));
+  if (!entry) return res.status(404).json({ error: "outbox_entry_not_found" });
+  await deliverOutboxEntry(entry);
+  res.json({ entry: callStore.outboxGet(entry.id) });
+});
+
+app.get("/admin/kb", requireAdmin, (req, res) => {
+  const entries = getKbEntries(String(req.query?.reload || "") === "1").map(({ tokens, ...e }) => e);
+  res.json({ dir: ENV.MB_KB_DIR, entries });
+});
+
+app.get("/admin/kb/unanswered", requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query?.limit) || 200));
+  const questions = [];
+  for (const call of callStore.list({ since: safeStr(req.query?.since), limit })) {
+    for (const q of call.meta?.unansweredQuestions || []) questions.push({ callSid: call.callSid, ...q });
+  }
+  res.json({ questions });
+});
+
+app.get("/admin/tts", requireAdmin, (req, res) => {
+  const providers = ttsProviderOrder().map((name) => ({ name, configured: TTS_PROVIDERS[name].configured() }));
+  res.json({ providers, metrics: ttsMetrics, cache: { ...ttsCacheStats, prompts: staticPrompts.size, entries: ttsCache.size } });
+});
+
+app.get("/admin/calls/:sid", requireAdmin, (req, res) => {
+  const callSid = safeStr(req.params?.sid);
+  const call = calls.get(callSid) || callStore.load(callSid);
+  if (!call) return res.status(404).json({ error: "call_not_found" });
+  const { finalTimer, ...record } = call;
+  res.json({ call: record, events: callStore.getEvents(callSid) });
+});
+
+// Calls still open when the previous process died: their media streams are gone, so deliver what we have.
+// Records that never had a media stream or a single lead field (created by a recording or status callback
+// alone) have nothing to deliver and are left alone.
+function hasLeadData(record) {
+  const lead = record.lead || {};
+  return ["first_name", "last_name", "phone_number", "study_track"].some((k) => safeStr(lead[k]));
+}
+
+async function recoverUnfinishedCalls() {
+  const stale = callStore.listUnfinished().filter((r) => r.streamSid && r.startedAt && hasLeadData(r));
+  if (!stale.length) return;
+  logInfo("CALL store recovering unfinished calls", { count: stale.length });
+  for (const record of stale) {
+    try {
+      const c = getCall(record.callSid);
+      if (!c.endedAt) c.endedAt = nowIso();
+      await sendFinal(c.callSid, "server_restart");
+    } catch (e) {
+      logError("CALL recovery failed", { callSid: record.callSid, error: String(e?.message || e) });
+    }
+  }
+}
+
+// -------------------- Call analytics --------------------
+// Aggregates the stored call records of a period: volume per day and per hour of day (TIME_ZONE), lead status
+// (computeStatus codes, plus "voicemail" and "in_progress" for calls without a final), end reasons, call
+// duration, retries per retryKey and a per-flow funnel (calls that reached each step / stopped at it).
+// Served as JSON on /admin/metrics and as a plain HTML page on /admin/dashboard.
+const METRICS_MAX_CALLS = 10_000;
+// a call that ended with one of these went through its flow; any other final reason stopped at its last step
+// (calls still in progress have no final and have not stopped anywhere yet)
+const FLOW_FINISHED_REASONS = new Set(["completed_flow", "transferred_to_agent"]);
+
+function increment(counts, key, by = 1) {
+  counts[key] = (counts[key] || 0) + by;
+}
+
+function average(sum, n) {
+  return n ? Math.round((sum / n) * 100) / 100 : 0;
+}
+
+function metricsPeriod(query = {}) {
+  const days = Math.max(1, Math.min(366, Number(query.days) || 7));
+  return {
+    since: safeStr(query.since) || new Date(Date.now() - days * 86_400_000).toISOString(),
+    until: safeStr(query.until),
+  };
+}
+
+function computeCallMetrics(records) {
+  const byDay = {};
+  const byHour = {};
+  const status = {};
+  const endReasons = {};
+  const retrySums = {};
+  const retryCalls = {};
+  const funnels = {};
+  let durationSum = 0;
+  let durationCalls = 0;
+
+  for (const r of records) {
+    const p = zonedParts(new Date(r.startedAt));
+    increment(byDay, `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`);
+    increment(byHour, String(p.hour).padStart(2, "0"));
+
+    increment(status, r.final?.status || "in_progress");
+    increment(endReasons, r.final?.reason || "in_progress");
+
+    const ms = r.endedAt ? Date.parse(r.endedAt) - Date.parse(r.startedAt) : NaN;
+    if (ms >= 0) {
+      durationSum += ms / 1000;
+      durationCalls += 1;
+    }
+
+    const steps = r.steps || [];
+    if (!steps.length) continue;
+    const flow = FLOWS.get(r.flowId);
+
+    // a retry key counts for the calls that reached one of its steps; off-script remarks for every call in a flow
+    const keys = new Set(["offscript", ...steps.map((id) => flow?.steps[id]?.retryKey || id)]);
+    for (const key of keys) {
+      increment(retryCalls, key);
+      increment(retrySums, key, Number(r.retries?.[key]) || 0);
+    }
+
+    const funnel = (funnels[r.flowId || "unknown"] ||= {});
+    for (const id of new Set(steps)) (funnel[id] ||= { reached: 0, stopped: 0 }).reached += 1;
+    if (r.final && !FLOW_FINISHED_REASONS.has(r.final.reason)) funnel[steps.at(-1)].stopped += 1;
+  }
+
+  const leads = (status.completed || 0) + (status.partial || 0);
+  const retries = {};
+  for (const key of Object.keys(retryCalls)) retries[key] = { avg: average(retrySums[key], retryCalls[key]), calls: retryCalls[key] };
+
+  const funnel = {};
+  for (const [flowId, steps] of Object.entries(funnels)) {
+    // flow order first, then steps the current definition no longer has
+    const order = [...Object.keys(FLOWS.get(flowId)?.steps || {}), ...Object.keys(steps)];
+    funnel[flowId] = [...new Set(order)].filter((id) => steps[id]).map((id) => ({ step: id, ...steps[id] }));
+  }
+
+  return {
+    calls: records.length,
+    byDay,
+    byHour,
+    status,
+    completionRate: leads ? Math.round(((status.completed || 0) / leads) * 1000) / 1000 : 0,
+    endReasons,
+    avgDurationSec: average(durationSum, durationCalls),
+    retries,
+    funnel,
+  };
+}
+
+function loadCallMetrics(query) {
+  const period = metricsPeriod(query);
+  const records = callStore.list({ ...period, limit: METRICS_MAX_CALLS });
+  return { ...period, truncated: records.length >= METRICS_MAX_CALLS, ...computeCallMetrics(records) };
+}
+
+function renderMetricsHtml(m) {
+  const esc = xmlEscape;
+  const table = (title, rows, heads) => {
+    const body = rows.map((row) => `<tr>${row.map((v) => `<td>${esc(v)}</td>`).join("")}</tr>`).join("");
+    return `<h2>${esc(title)}</h2><table><tr>${heads.map((h) => `<th>${esc(h)}</th>`).join("")}</tr>${body}</table>`;
+  };
+  const counts = (title, obj, sortByKey) => {
+    const rows = Object.entries(obj).sort(sortByKey ? (a, b) => (a[0] < b[0] ? -1 : 1) : (a, b) => b[1] - a[1]);
+    return table(title, rows, ["", "calls"]);
+  };
+
+  const sections = [
+    table("Summary", [
+      ["calls", m.calls],
+      ["completion rate", `${Math.round(m.completionRate * 1000) / 10}%`],
+      ["average duration (s)", m.avgDurationSec],
+    ], ["", ""]),
+    counts("Status", m.status),
+    counts("End reasons", m.endReasons),
+    table("Retries per step", Object.entries(m.retries).map(([key, r]) => [key, r.avg, r.calls]), ["retry key", "average", "calls"]),
+    ...Object.entries(m.funnel).map(([flowId, steps]) =>
+      table(`Funnel: ${flowId}`, steps.map((s) => [s.step, s.reached, s.stopped]), ["step", "reached", "stopped here"])
+    ),
+    counts("Calls per day", m.byDay, true),
+    counts("Calls per hour of day", m.byHour, true),
+  ];
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Call analytics</title>
+<style>body{font-family:sans-serif;margin:24px}table{border-collapse:collapse;margin-bottom:8px}
+td,th{border:1px solid #ccc;padding:4px 10px;text-align:left}th{background:#f3f3f3}</style></head>
+<body><h1>Call analytics</h1>
+<form method="get">
+since <input name="since" value="${esc(m.since)}"> until <input name="until" value="${esc(m.until)}">
+<button>Show</button></form>
+${m.truncated ? `<p>Only the latest ${METRICS_MAX_CALLS} calls of the period are counted.</p>` : ""}
+${sections.join("\n")}
+</body></html>`;
+}
+
+app.get("/admin/metrics", requireAdmin, (req, res) => {
+  res.json(loadCallMetrics(req.query));
+});
+
+app.get("/admin/dashboard", requireAdmin, (req, res) => {
+  res.type("html").send(renderMetricsHtml(loadCallMetrics(req.query)));
+});
+
+// -------------------- Answering machine detection --------------------
+// Outbound calls only. Twilio AMD (MB_AMD_MODE) decides first and its AnsweredBy reaches the stream as
+// "answered_by". When it is off or undecided the bot holds the opening until the callee speaks: a short "הלו"
+// followed by a pause is a person, a greeting that runs past MB_AMD_GREETING_MS or a voicemail phrase in the
+// first transcripts is a machine. On a machine the bot waits out the greeting, leaves MB_VOICEMAIL_TEXT (or the
+// campaign's "voicemail") and ends the call with reason "voicemail".
+const AMD_VOICE_LEVEL = 450; // mean |sample| of a µ-law frame from which it counts as voice
+const AMD_PAUSE_MS = 700; // silence that ends the callee's first utterance
+const AMD_NO_SPEECH_MS = 3000; // nobody spoke at all: a person waiting for us to start
+const AMD_PHRASE_WINDOW_MS = 20_000;
+const AMD_MESSAGE_END_SILENCE_MS = 1500; // silence after a machine greeting: the beep has passed
+const AMD_MESSAGE_END_MAX_MS = 15_000;
+const VOICEMAIL_PLAYBACK_MAX_MS = 60_000; // longest the voicemail message may still be playing when synthesis ends
+const VOICEMAIL_HANGUP_TAIL_MS = 1000; // after it has played out
+
+const VOICEMAIL_PHRASES = [
+  "תא הקולי",
+  "תא קולי",
+  "השאר הודעה",
+  "השאירו הודעה",
+  "השאירי הודעה",
+  "להשאיר הודעה",
+  "אחרי הצליל",
+  "לאחר הצליל",
+  "המנוי אינו זמין",
+  "המנוי לא זמין",
+  "אינו זמין כרגע",
+  "הגעתם ל",
+  "voicemail",
+  "leave a message",
+  "after the tone",
+  "after the beep",
+];
+
+function isVoicemailGreeting(text) {
+  const t = normalizeText(text);
+  return VOICEMAIL_PHRASES.some((p) => t.includes(p));
+}
+
+// Twilio AnsweredBy -> "human" | "machine" (greeting over) | "machine_start" (greeting playing) | "fax" | ""
+function classifyAnsweredBy(value) {
+  const v = safeStr(value).toLowerCase();
+  if (v === "human" || v === "fax" || v === "machine_start") return v;
+  if (v.startsWith("machine_end")) return "machine";
+  return "";
+}
+
+function ulawToLinear(u) {
+  const x = ~u & 0xff;
+  const sample = ((((x & 0x0f) << 3) + 0x84) << ((x & 0x70) >> 4)) - 0x84;
+  return x & 0x80 ? -sample : sample;
+}
+
+const ULAW_LEVELS = Int16Array.from({ length: 256 }, (_, u) => Math.abs(ulawToLinear(u)));
+
+function ulawFrameLevel(bytes) {
+  if (!bytes.length) return 0;
+  let sum = 0;
+  for (const b of bytes) sum += ULAW_LEVELS[b];
+  return sum / bytes.length;
+}
+
+// -------------------- Outbound campaigns --------------------
+// POST /campaigns creates a campaign, POST /campaigns/:id/leads queues leads; a dialer tick places calls through
+// the Twilio Calls API within the campaign's calling hours, at most maxConcurrent at a time and callsPerMinute
+// apart. Answered calls run the normal flow over /twilio-media-stream with the lead's known fields pre-filled.
+// Every attempt ends on /twilio/outbound-status with an outcome (completed, partial, refused, no-answer, busy,
+// failed, voicemail); unfinished leads are retried after retryDelayMin until maxAttempts.
+const CAMPAIGN_DEFAULTS = { maxConcurrent: 2, callsPerMinute: 6, maxAttempts: 3, retryDelayMin: 60 };
+const CAMPAIGN_STALE_CALL_MS = 30 * 60_000;
+const campaignLastDialAt = new Map();
+
+function campaignId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function createCampaign(body) {
+  const flowId = safeStr(body?.flow);
+  if (flowId && !FLOWS.has(flowId)) return { ok: false, reason: "unknown_flow" };
+  const num = (k) => (Number(body?.[k]) > 0 ? Number(body[k]) : CAMPAIGN_DEFAULTS[k]);
+  const campaign = {
+    id: campaignId("cmp"),
+    name: safeStr(body?.name) || "campaign",
+    status: "active",
+    flow: flowId,
+    from: safeStr(body?.from) || ENV.MB_CAMPAIGN_CALLER_ID,
+    hours: safeStr(body?.hours) || ENV.MB_CAMPAIGN_HOURS,
+    opening: safeStr(body?.opening),
+    voicemail: safeStr(body?.voicemail),
+    maxConcurrent: num("maxConcurrent"),
+    callsPerMinute: num("callsPerMinute"),
+    maxAttempts: num("maxAttempts"),
+    retryDelayMin: num("retryDelayMin"),
+    createdAt: nowIso(),
+  };
+  if (!campaign.from) return { ok: false, reason: "caller_id_missing" };
+  callStore.campaignSave(campaign);
+  logInfo("CAMPAIGN created", { id: campaign.id, name: campaign.name });
+  return { ok: true, campaign };
+}
+
+function addCampaignLeads(campaign, items) {
+  const result = { added: 0, duplicate: 0, invalid: 0, dnc: 0, leads: [] };
+  for (const item of Array.isArray(items) ? items : []) {
+    const phone = classifyPhone(item?.phone || item?.phone_number);
+    if (!phone.ok) {
+      result.invalid += 1;
+      continue;
+    }
+    const now = nowIso();
+    const lead = {
+      id: campaignId("lead"),
+      campaignId: campaign.id,
+      phone: phone.e164,
+      phoneLocal: phone.local,
+      status: callStore.dncHas(phone.e164) ? "dnc" : "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      callSid: "",
+      outcome: "",
+      history: [],
+      fields: {
+        first_name: safeStr(item.first_name),
+        last_name: safeStr(item.last_name),
+        study_track: safeStr(item.study_track),
+        language: safeStr(item.language),
+        external_id: safeStr(item.external_id || item.id),
+      },
+      createdAt: now,
+    };
+    if (!callStore.campaignLeadAdd(lead)) {
+      result.duplicate += 1;
+      continue;
+    }
+    if (lead.status === "dnc") result.dnc += 1;
+    else result.added += 1;
+    result.leads.push({ id: lead.id, phone: lead.phone, status: lead.status });
+  }
+  return result;
+}
+
+async function placeCampaignCall(campaign, lead) {
+  const origin = getPublicOrigin();
+  if (!ENV.TWILIO_ACCOUNT_SID || !ENV.TWILIO_AUTH_TOKEN || !origin) return { ok: false, reason: "twilio_env_missing" };
+
+  const q = new URLSearchParams({ lead: lead.id }).toString();
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${ENV.TWILIO_ACCOUNT_SID}/Calls.json`;
+  const body = new URLSearchParams({
+    To: lead.phone,
+    From: campaign.from,
+    Url: `${origin}/twilio/outbound-voice?${q}`,
+    StatusCallback: `${origin}/twilio/outbound-status?${q}`,
+    StatusCallbackMethod: "POST",
+    Timeout: String(ENV.MB_CAMPAIGN_RING_TIMEOUT_S),
+  });
+  if (ENV.MB_AMD_MODE.toLowerCase() !== "off") body.set("MachineDetection", ENV.MB_AMD_MODE);
+
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: twilioAuthHeader(), "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) return { ok: false, reason: "call_create_failed", status: res.status, body: json };
+    return { ok: true, reason: "call_created", sid: json.sid || "" };
+  } catch (e) {
+    return { ok: false, reason: "call_create_error", error: String(e?.message || e) };
+  }
+}
+
+function recordCampaignOutcome(lead, outcome, callSid = "") {
+  const campaign = callStore.campaignGet(lead.campaignId);
+  const now = nowIso();
+  lead.outcome = outcome;
+  lead.history.push({ callSid: callSid || lead.callSid, at: now, outcome });
+
+  if (outcome === "completed") {
+    lead.status = "done";
+  } else if (outcome === "refused") {
+    lead.status = "done";
+    if (ENV.MB_CAMPAIGN_DNC_ON_REFUSAL) callStore.dncAdd(lead.phone, "refused");
+  } else if (lead.attempts >= (campaign?.maxAttempts || CAMPAIGN_DEFAULTS.maxAttempts)) {
+    lead.status = "exhausted";
+  } else {
+    lead.status = "pending";
+    lead.nextAttemptAt = new Date(Date.now() + (campaign?.retryDelayMin || CAMPAIGN_DEFAULTS.retryDelayMin) * 60_000).toISOString();
+  }
+  callStore.campaignLeadSave(lead);
+  logInfo("CAMPAIGN attempt", { campaign: lead.campaignId, lead: lead.id, attempt: lead.attempts, outcome, status: lead.status });
+}
+
+// Outcome of an answered call, from what the bot got out of it.
+function answeredCallOutcome(callSid) {
+  const rec = calls.get(callSid) || callStore.load(callSid);
+  if (!rec) return "no_stream";
+  // meta.endReason is set as the flow ends, before lead_final is sent
+  const reason = rec.meta?.endReason || rec.final?.reason;
+  if (reason === "user_refused") return "refused";
+  if (reason === "voicemail") return "voicemail";
+  return computeStatus(rec.lead).code === "completed" ? "completed" : "partial";
+}
+
+async function dialCampaign(campaign) {
+  if (campaign.status !== "active" || !isWithinHours(campaign.hours)) return;
+
+  let calling = 0;
+  for (const lead of callStore.campaignLeads(campaign.id, { status: "calling", limit: 1000 })) {
+    // the status callback never came (e.g. a restart mid-call): count the attempt and move on
+    if (Date.now() - Date.parse(lead.lastAttemptAt || 0) > CAMPAIGN_STALE_CALL_MS) recordCampaignOutcome(lead, "unknown");
+    else calling += 1;
+  }
+  if (calling >= campaign.maxConcurrent) return;
+
+  const gapMs = 60_000 / Math.max(0.1, campaign.callsPerMinute);
+  if (Date.now() - (campaignLastDialAt.get(campaign.id) || 0) < gapMs) return;
+
+  const [lead] = callStore.campaignLeadsDue(campaign.id, nowIso(), 1);
+  if (!lead) return;
+  if (callStore.dncHas(lead.phone)) {
+    lead.status = "dnc";
+    callStore.campaignLeadSave(lead);
+    return;
+  }
+
+  campaignLastDialAt.set(campaign.id, Date.now());
+  lead.attempts += 1;
+  lead.lastAttemptAt = nowIso();
+  const r = await placeCampaignCall(campaign, lead);
+  if (!r.ok) {
+    logError("CAMPAIGN call failed", { campaign: campaign.id, lead: lead.id, ...r });
+    recordCampaignOutcome(lead, "failed");
+    return;
+  }
+  lead.status = "calling";
+  lead.callSid = r.sid;
+  callStore.campaignLeadSave(lead);
+  logInfo("CAMPAIGN dialing", { campaign: campaign.id, lead: lead.id, callSid: r.sid, attempt: lead.attempts });
+}
+
+let campaignTickRunning = false;
+setInterval(async () => {
+  if (campaignTickRunning) return;
+  campaignTickRunning = true;
+  try {
+    for (const campaign of callStore.campaignList()) await dialCampaign(campaign);
+  } catch (e) {
+    logError("CAMPAIGN tick error", String(e?.message || e));
+  } finally {
+    campaignTickRunning = false;
+  }
+}, Math.max(500, ENV.MB_CAMPAIGN_TICK_MS)).unref();
+
+app.post("/twilio/outbound-voice", requireTwilioSignature, (req, res) => {
+  const lead = callStore.campaignLeadGet(safeStr(req.query?.lead));
+  const campaign = lead && callStore.campaignGet(lead.campaignId);
+  const answeredBy = classifyAnsweredBy(req.body?.AnsweredBy);
+  if (!campaign || answeredBy === "fax") {
+    return res.type("text/xml").send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+
+  // the lead is the "caller" of the flow: caller id checks, returning-caller lookup and the phone all apply to it
+  const twiml = buildVoiceTwiml({
+    streamUrl: mediaStreamUrl(req),
+    from: lead.phone,
+    to: campaign.from,
+    flowId: campaign.flow,
+    afterHours: false,
+    extra: { direction: "outbound", lead: lead.id, answered_by: answeredBy },
+    openingMp3: "",
+  });
+  logInfo("VOICE outbound", { callSid: req.body?.CallSid || "", campaign: campaign.id, lead: lead.id, answeredBy });
+  res.type("text/xml").send(`<?xml version="1.0" encoding="UTF-8"?>${twiml}`);
+});
+
+app.post("/twilio/outbound-status", requireTwilioSignature, (req, res) => {
+  res.status(200).send("OK");
+
+  const lead = callStore.campaignLeadGet(safeStr(req.query?.lead));
+  const callSid = safeStr(req.body?.CallSid);
+  const status = safeStr(req.body?.CallStatus);
+  if (!lead || lead.status !== "calling" || (lead.callSid && callSid && lead.callSid !== callSid)) return;
+
+  let outcome = status;
+  if (status === "completed") {
+    const answeredBy = safeStr(req.body?.AnsweredBy);
+    outcome = /^(machine|fax)/.test(answeredBy) ? "voicemail" : answeredCallOutcome(callSid);
+  } else if (status === "canceled") {
+    outcome = "failed";
+  }
+  recordCampaignOutcome(lead, outcome, callSid);
+});
+
+function requireCampaign(req, res, next) {
+  const campaign = callStore.campaignGet(safeStr(req.params?.id));
+  if (!campaign) return res.status(404).json({ error: "campaign_not_found" });
+  req.campaign = campaign;
+  next();
+}
+
+app.post("/campaigns", requireAdmin, (req, res) => {
+  const r = createCampaign(req.body || {});
+  if (!r.ok) return res.status(400).json({ error: r.reason });
+  res.status(201).json({ campaign: r.campaign });
+});
+
+app.get("/campaigns", requireAdmin, (req, res) => {
+  res.json({ campaigns: callStore.campaignList().map((c) => ({ ...c, leads: callStore.campaignLeadCounts(c.id) })) });
+});
+
+app.get("/campaigns/:id", requireAdmin, requireCampaign, (req, res) => {
+  res.json({ campaign: req.campaign, leads: callStore.campaignLeadCounts(req.campaign.id) });
+});
 
-  const user =
-    `המשתמש אמר: "${safeStr(userText)}"\n` +
-    `הסטייט הנוכחי: ${state}\n` +
-    `השאלה הנוכחית: "${question}"\n` +
-    "תנו משפט אחד בלבד.";
+app.post("/campaigns/:id/leads", requireAdmin, requireCampaign, (req, res) => {
+  const items = Array.isArray(req.body) ? req.body : req.body?.leads;
+  if (!Array.isArray(items)) return res.status(400).json({ error: "leads_array_required" });
+  res.json(addCampaignLeads(req.campaign, items));
+});
 
-  try {
-    const res = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: { authorization: `Bearer ${ENV.OPENAI_API_KEY}`, "content-type": "application/json" },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
-        input: [{ role: "system", content: sys }, { role: "user", content: user }],
-        max_output_tokens: 80,
-      }),
-    });
+app.get("/campaigns/:id/leads", requireAdmin, requireCampaign, (req, res) => {
+  const limit = Math.max(1, Math.min(5000, Number(req.query?.limit) || 500));
+  res.json({ leads: callStore.campaignLeads(req.campaign.id, { status: safeStr(req.query?.status), limit }) });
+});
 
-    const json = await res.json().catch(() => ({}));
-    if (!res.ok) throw new Error(json?.error?.message || "fallback_http_error");
+for (const [action, status] of [["pause", "paused"], ["resume", "active"]]) {
+  app.post(`/campaigns/:id/${action}`, requireAdmin, requireCampaign, (req, res) => {
+    req.campaign.status = status;
+    callStore.campaignSave(req.campaign);
+    logInfo(`CAMPAIGN ${action}`, { id: req.campaign.id });
+    res.json({ campaign: req.campaign });
+  });
+}
 
-    const out = (json.output_text || "").toString().trim();
-    return out ? out.slice(0, 240) : (question || "אפשר לענות רגע על השאלה?");
-  } catch {
-    return question || "אפשר לענות רגע על השאלה?";
+app.get("/dnc", requireAdmin, (req, res) => {
+  res.json({ dnc: callStore.dncList(Math.max(1, Math.min(10000, Number(req.query?.limit) || 1000))) });
+});
+
+app.post("/dnc", requireAdmin, (req, res) => {
+  const phones = Array.isArray(req.body?.phones) ? req.body.phones : [req.body?.phone];
+  const added = [];
+  for (const raw of phones) {
+    const phone = classifyPhone(raw);
+    if (!phone.ok) continue;
+    callStore.dncAdd(phone.e164, safeStr(req.body?.reason) || "manual");
+    added.push(phone.e164);
   }
-}
+  res.json({ added });
+});
+
+app.delete("/dnc/:phone", requireAdmin, (req, res) => {
+  const phone = classifyPhone(req.params?.phone);
+  res.json({ removed: phone.ok ? callStore.dncRemove(phone.e164) : false });
+});
 
 // -------------------- Server + WS --------------------
 const server = app.listen(PORT, () => {
   logInfo(`✅ Service running on port ${PORT}`);
+  recoverUnfinishedCalls().catch((e) => logError("CALL recovery error", String(e?.message || e)));
+  warmTtsCache().catch((e) => logError("TTS warm-up error", String(e?.message || e)));
 });
 
-const wss = new WebSocket.Server({ server, path: "/twilio-media-stream" });
+const wss = new WebSocket.Server({
+  server,
+  path: "/twilio-media-stream",
+  verifyClient: (info, done) => {
+    const v = verifyTwilioRequest(info.req, {}, true);
+    if (v.ok) return done(true);
+    logError("TWILIO media stream rejected", { reason: v.reason, tried: v.urls, ip: info.req.socket?.remoteAddress });
+    done(false, 403, "Forbidden");
+  },
+});
 
 wss.on("connection", (twilioWs) => {
   logInfo("Twilio WS client connected");
@@ -499,22 +3535,29 @@ wss.on("connection", (twilioWs) => {
   let called = "";
   let callerPhoneLocal = "";
   let openingPlayedByTwilio = false;
-
-  const STATES = {
-    OPENING: "OPENING",
-    ASK_NAME: "ASK_NAME",
-    ASK_PHONE: "ASK_PHONE",
-    CONFIRM_PHONE: "CONFIRM_PHONE",
-    DONE: "DONE",
-  };
-
-  let state = STATES.OPENING;
+  let openingText = ""; // overrides flow.opening / MB_OPENING_TEXT (outbound campaign calls)
+  let voicemailText = "";
+  // answering machine detection on outbound calls: { phase: "listening" | "machine" | "done", ... }
+  let amd = null;
+  let lang = HEBREW_LOCALE;
+  // false while the caller's language can still be picked up from the first utterance
+  let languageSettled = CALL_LOCALES.length < 2;
+
+  let flow = getFlow();
+  let state = "OPENING";
   let callClosed = false;
 
-  let retries = { name: 0, phone: 0, confirmPhone: 0, offscript: 0 };
+  let retries = { offscript: 0 };
+  let phoneDigits = ""; // partial number in an accumulateDigits step
+  let phoneChunkTimer = null;
+  let keypadDigits = ""; // keys typed so far on a "keypad": "digits" step
+  let keypadTimer = null;
+  let lastKeyAt = 0;
 
-  let pendingName = { first: "", last: "" };
-  let pendingPhone = "";
+  // values captured by a step but not yet committed to the lead (e.g. phone awaiting confirmation)
+  let pending = {};
+  // step to go back to after a detour (goto "$return"), e.g. collecting a callback time for an agent
+  let resumeState = "";
 
   // confirm watchdog stays disabled in your base file
   let confirmWatchdog = null;
@@ -531,19 +3574,26 @@ wss.on("connection", (twilioWs) => {
   let maxCallTimer = null;
   let maxCallWarnTimer = null;
 
-  function clearTimers() {
+  function clearIdleTimers() {
     if (idleWarnTimer) clearTimeout(idleWarnTimer);
     if (idleHangTimer) clearTimeout(idleHangTimer);
+    idleWarnTimer = idleHangTimer = null;
+  }
+
+  function clearTimers() {
+    clearIdleTimers();
     if (maxCallTimer) clearTimeout(maxCallTimer);
     if (maxCallWarnTimer) clearTimeout(maxCallWarnTimer);
-    idleWarnTimer = idleHangTimer = maxCallTimer = maxCallWarnTimer = null;
+    maxCallTimer = maxCallWarnTimer = null;
+    resetPhoneDigits();
+    resetKeypad();
   }
 
   function armIdleTimers() {
     if (ENV.MB_IDLE_WARNING_MS > 0) {
       if (idleWarnTimer) clearTimeout(idleWarnTimer);
       idleWarnTimer = setTimeout(() => {
-        sayQueue("אפשר לענות רגע?");
+        sayQueue(PROMPTS.idleWarning);
         askCurrentQuestionQueued();
       }, ENV.MB_IDLE_WARNING_MS);
     }
@@ -560,7 +3610,7 @@ wss.on("connection", (twilioWs) => {
       const warnAt = Math.max(0, ENV.MB_MAX_CALL_MS - ENV.MB_MAX_WARN_BEFORE_MS);
       maxCallWarnTimer = setTimeout(() => {
         if (callClosed) return;
-        sayQueue("עוד רגע מסיימים.");
+        sayQueue(PROMPTS.maxCallWarning);
         askCurrentQuestionQueued();
       }, warnAt);
     }
@@ -573,14 +3623,45 @@ wss.on("connection", (twilioWs) => {
   }
 
   let ttsActive = false;
+  let ttsAbort = null;
   const speechQueue = [];
 
   let endRequested = false;
   let endReason = "";
   let endAfterMs = 0;
+  let hangupScheduled = false;
 
   function botLog(text) {
     if (ENV.MB_LOG_BOT) logInfo("BOT>", text);
+    logCallEvent(callSid, "bot", { text });
+  }
+
+  function persistCallState() {
+    if (!callSid) return;
+    const c = getCall(callSid);
+    c.flowId = flow.id;
+    c.state = state;
+    c.retries = { ...retries };
+    saveCall(c);
+  }
+
+  // steps the call went through, in order; the analytics funnel reads them (see "Call analytics")
+  function recordStepReached(step) {
+    if (!callSid || !flow.steps[step]) return;
+    const c = getCall(callSid);
+    if (c.steps.at(-1) === step) return;
+    c.steps = [...c.steps, step];
+  }
+
+  function setState(next, data) {
+    if (next === state) return;
+    logInfo(`[STATE] ${state} -> ${next}`, ...(data ? [data] : []));
+    logCallEvent(callSid, "state", { from: state, to: next, ...(data || {}) });
+    state = next;
+    recordStepReached(next);
+    resetPhoneDigits();
+    resetKeypad();
+    persistCallState();
   }
 
   function sendTwilioUlawFrame(frameBytes) {
@@ -659,20 +3740,55 @@ wss.on("connection", (twilioWs) => {
     }, Math.max(0, until - Date.now()));
   }
 
-  async function speakWithEleven(text) {
-    if (!assertElevenConfigured()) {
-      logError("Eleven not configured (missing ELEVEN_API_KEY/ELEVEN_VOICE_ID)");
-      return;
+  async function speakText(text, language) {
+    // with barge-in the caller stays audible while we talk; see bargeIn()
+    const tail = Math.max(250, Math.min(900, Number(ENV.MB_NO_BARGE_TAIL_MS || 0)));
+    if (!ENV.MB_ALLOW_BARGE_IN) disableListeningFor(tail);
+
+    const abort = new AbortController();
+    ttsAbort = abort;
+    try {
+      await synthesizeCachedUlaw(text, async (chunk) => {
+        if (!abort.signal.aborted) enqueueUlawBytes(chunk);
+      }, abort.signal, language);
+    } catch (e) {
+      if (abort.signal.aborted) return;
+      throw e;
+    } finally {
+      if (ttsAbort === abort) ttsAbort = null;
     }
 
-    const tail = Math.max(250, Math.min(900, Number(ENV.MB_NO_BARGE_TAIL_MS || 0)));
-    disableListeningFor(tail);
+    if (!ENV.MB_ALLOW_BARGE_IN) disableListeningFor(tail);
+  }
 
-    await elevenStreamUlaw(text, async (chunk) => {
-      enqueueUlawBytes(chunk);
-    });
+  function isBotSpeaking() {
+    return ttsActive || ulawOutQueue.length > 0;
+  }
+
+  // Caller started talking over the bot: drop everything we still had to say and let the utterance be
+  // handled as the answer to the current step. The closing is never interrupted (callClosed is set first).
+  function bargeIn() {
+    if (!ENV.MB_ALLOW_BARGE_IN || callClosed || endRequested) return;
+    if (!isBotSpeaking()) return;
 
-    disableListeningFor(tail);
+    logInfo("[BARGE-IN] caller interrupted", { state, droppedQueued: speechQueue.length });
+    stopSpeaking();
+  }
+
+  function stopSpeaking() {
+    speechQueue.length = 0;
+    if (ttsAbort) ttsAbort.abort();
+
+    ulawOutQueue = [];
+    ulawOutBuffer = Buffer.alloc(0);
+    if (ulawOutTimer) {
+      clearInterval(ulawOutTimer);
+      ulawOutTimer = null;
+    }
+
+    if (streamSid) {
+      try { twilioWs.send(JSON.stringify({ event: "clear", streamSid })); } catch {}
+    }
   }
 
   async function tryDequeueSpeech() {
@@ -686,12 +3802,12 @@ wss.on("connection", (twilioWs) => {
     }
 
     ttsActive = true;
-    const nextText = speechQueue.shift();
+    const next = speechQueue.shift();
 
     try {
-      await speakWithEleven(nextText);
+      await speakText(next.text, next.language);
     } catch (e) {
-      logError("Eleven speak error", String(e?.message || e));
+      logError("TTS speak error", String(e?.message || e));
     } finally {
       ttsActive = false;
       setTimeout(() => {
@@ -700,92 +3816,429 @@ wss.on("connection", (twilioWs) => {
     }
   }
 
-  function sayQueue(text) {
+  // text is translated into the call's language when the locale has it (see "Languages")
+  function sayQueue(text, locale = lang) {
     if (callClosed) return;
-    const t = safeStr(text);
+    const t = safeStr(localizeText(text, locale));
     if (!t) return;
     botLog(t);
-    speechQueue.push(t);
+    speechQueue.push({ text: t, language: locale.tts });
     tryDequeueSpeech().catch(() => {});
   }
 
+  function renderText(text, scope) {
+    return renderFlowText(localizeText(text, lang), scope);
+  }
+
+  function flowScope(value) {
+    return {
+      value,
+      pending,
+      lead: callSid ? getCall(callSid).lead : {},
+      call: { caller, called, callerPhoneLocal },
+      locale: lang,
+    };
+  }
+
   function askCurrentQuestionQueued() {
     if (callClosed) return;
-    if (state === STATES.ASK_NAME) return sayQueue("מה השם המלא שלכם?");
-    if (state === STATES.ASK_PHONE) return sayQueue("מה מספר הטלפון לחזרה?");
-    if (state === STATES.CONFIRM_PHONE) {
-      sayQueue(`המספר הוא ${phoneForSpeech(pendingPhone)}. נכון?`);
+    const step = flow.steps[state];
+    if (!step) return;
+    sayQueue(renderText(step.prompt, flowScope()));
+  }
+
+  async function runTransition(tr, scope) {
+    if (!tr) return;
+    applyFlowSet(tr.set, scope);
+    if (tr.consent) await applyRecordingConsent(tr.consent);
+    if (tr.returning) markReturningCaller();
+    if (tr.say) sayQueue(renderText(tr.say, scope));
+
+    if (tr.end) {
+      setState(FLOW_DONE, { reason: tr.end });
+      await finishCall(tr.end, { skipClosing: !!tr.skipClosing });
+      return;
+    }
+
+    const next = tr.goto === FLOW_RETURN ? resumeState || flow.start : tr.goto;
+    if (tr.goto === FLOW_RETURN) resumeState = "";
+    if (!next || !flow.steps[next]) {
+      logError("[FLOW] transition without target", { flow: flow.id, state, tr });
       return;
     }
+    setState(redirectedStep(next));
+    if (tr.ask !== false) askCurrentQuestionQueued();
   }
 
-  function startFlowProactively() {
-    if (flowStarted) return;
-    flowStarted = true;
+  // only a lookup by caller id leaves pending.known.previous; a campaign lead's name is not a returning caller
+  function markReturningCaller() {
+    const previous = pending.known?.previous;
+    if (!previous) return;
+    const c = getCall(callSid);
+    c.meta.returning = previous;
+    saveCall(c);
+    logInfo("[RETURNING] caller confirmed", { callSid, previous: previous.callSid });
+  }
+
+  async function applyRecordingConsent(consent) {
+    const c = getCall(callSid);
+    c.meta.consent = consent;
+    c.meta.consentAt = nowIso();
+
+    let rec = { ok: false, reason: "not_recording" };
+    if (consent === "granted" && ENV.MB_ENABLE_RECORDING && !c.recordingSid) {
+      rec = await startRecordingIfEnabled(callSid);
+      if (rec.ok) c.recordingSid = rec.sid || "";
+    } else if (consent === "declined" && c.recordingSid) {
+      const sid = c.recordingSid;
+      rec = await stopRecording(callSid, sid);
+      const del = await deleteRecording(sid);
+      logInfo("RECORDING> delete (consent declined)", del);
+      c.recordingSid = "";
+      c.recordingUrl = "";
+    }
+    logInfo("RECORDING>", { consent, ...rec });
+    saveCall(c);
+    logCallEvent(callSid, "consent", { consent, recording: rec.reason });
+  }
+
+  // A step's "redirect" sends the caller elsewhere on entry (a known caller skips ASK_NAME, a pre-filled
+  // campaign lead skips what it already has). Redirects chain; a step is never entered twice in one hop.
+  function redirectedStep(next) {
+    const seen = new Set([next]);
+    for (;;) {
+      const scope = flowScope();
+      const tr = pickTransition(flow.steps[next]?.redirect, scope);
+      if (!tr?.goto || !flow.steps[tr.goto] || seen.has(tr.goto)) return next;
+      applyFlowSet(tr.set, scope);
+      next = tr.goto;
+      seen.add(next);
+    }
+  }
+
+  // Returns true when the transcript was an off-script remark and has been dealt with here.
+  async function handleOffScript(transcript) {
+    const step = flow.steps[state];
+    if (!step || step.intents === false) return false;
+
+    const question = renderText(step.prompt, flowScope());
+    const { intent, source } = await classifyIntent(transcript, question, lang);
+    if (callClosed) return false;
+    if (intent === "answer") {
+      // not phrased as a question but clearly one of ours ("זה בוט?") — only on a strong KB match, and only when
+      // the step cannot use it: "מספר טלפון 0521234567" is an answer even if it resembles a FAQ entry
+      if (retries.offscript >= ENV.MB_MAX_OFFSCRIPT || stepAccepts(step, transcript)) return false;
+      if (!(await answerQuestion(transcript, ENV.MB_KB_STRICT_SCORE))) return false;
+      retries.offscript += 1;
+      return true;
+    }
+    // "מה? כן" opens like a question but still answers the step — the step parser gets it first
+    if ((intent === "question" || intent === "off_topic") && stepAccepts(step, transcript)) return false;
+
+    logCallEvent(callSid, "intent", { intent, source, state, text: transcript });
+    if (ENV.MB_LOG_TRANSCRIPTS) logInfo("[INTENT]", { intent, source, state, offscript: retries.offscript });
+
+    if (intent === "repeat") {
+      askCurrentQuestionQueued();
+      return true;
+    }
+
+    if (intent === "human") {
+      await handleHumanRequest();
+      return true;
+    }
+
+    // past the cap we stop side-answering; the remark counts as a failed answer for the step instead
+    if (retries.offscript >= ENV.MB_MAX_OFFSCRIPT) {
+      await handleStepNoMatch();
+      return true;
+    }
+    retries.offscript += 1;
+
+    if (intent === "question" && (await answerQuestion(transcript, ENV.MB_KB_MIN_SCORE))) return true;
+    if (intent === "question") recordUnansweredQuestion(transcript);
+
+    const language = lang === HEBREW_LOCALE ? "" : lang.name;
+    const reply = await openaiFallbackReply({ userText: transcript, state, question, intent, language });
+    sayQueue(reply || PROMPTS.offscriptDefault);
+    askCurrentQuestionQueued();
+    return true;
+  }
+
+  function waitForSpeechDrained(timeoutMs) {
+    const started = Date.now();
+    return new Promise((resolve) => {
+      const tick = () => {
+        if ((!ttsActive && !speechQueue.length && !ulawOutQueue.length) || Date.now() - started > timeoutMs) return resolve();
+        setTimeout(tick, 100);
+      };
+      tick();
+    });
+  }
+
+  async function handleHumanRequest() {
+    const c = getCall(callSid);
+    c.meta.humanRequested = true;
+
+    // no transfer set up at all: nothing to do with the hours, a representative calls back
+    if (!isTransferConfigured()) {
+      c.meta.transfer = { requestedAt: nowIso(), to: "", status: "not_configured", outcome: "transfer_not_configured" };
+      saveCall(c);
+      logCallEvent(callSid, "transfer", c.meta.transfer);
+      sayQueue(PROMPTS.humanLater);
+      askCurrentQuestionQueued();
+      return;
+    }
+
+    if (!isTransferOpen()) {
+      c.meta.transfer = { requestedAt: nowIso(), to: "", status: "after_hours", outcome: "callback_requested" };
+      saveCall(c);
+      logCallEvent(callSid, "transfer", c.meta.transfer);
+
+      const cbStep = flow.handoff?.callbackStep;
+      if (cbStep && flow.steps[cbStep] && state !== cbStep) {
+        resumeState = state;
+        sayQueue(PROMPTS.agentsClosed);
+        setState(cbStep);
+        askCurrentQuestionQueued();
+        return;
+      }
+      sayQueue(PROMPTS.humanLater);
+      askCurrentQuestionQueued();
+      return;
+    }
+
+    const prevState = state;
+    c.meta.transfer = { requestedAt: nowIso(), to: ENV.MB_TRANSFER_TO, status: "pending", outcome: "" };
+    sayQueue(PROMPTS.transferring);
+    setState(FLOW_DONE, { reason: "transfer" });
+    callClosed = true;
+    // the max-call timers stay: they do nothing while callClosed, and still bound the call if the redirect fails
+    clearIdleTimers();
+
+    await waitForSpeechDrained(8000);
+    const r = await redirectCallTwiml(callSid, buildTransferTwiml(callSid));
+    logInfo("TRANSFER>", { callSid, to: ENV.MB_TRANSFER_TO, ...r });
+
+    if (r.ok) {
+      c.meta.transfer.status = "initiated";
+      saveCall(c);
+      logCallEvent(callSid, "transfer", c.meta.transfer);
+      return;
+    }
 
-    logInfo("[FLOW] opening -> ASK_NAME (proactive)");
-    state = STATES.ASK_NAME;
+    // Twilio refused the redirect: carry on with the intake
+    c.meta.transfer.status = "failed";
+    c.meta.transfer.outcome = "redirect_failed";
+    saveCall(c);
+    logCallEvent(callSid, "transfer", c.meta.transfer);
+    callClosed = false;
+    setState(prevState);
+    sayQueue(PROMPTS.transferFailed);
     askCurrentQuestionQueued();
     armIdleTimers();
-    armMaxCallTimers();
   }
 
-  function cleanHebrewName(raw) {
-    return (raw || "")
-      .toString()
-      .replace(/[0-9]/g, " ")
-      .replace(/[^\p{L}\p{M}\s]/gu, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-  }
-
-  const NAME_TRASH = new Set(["הלו","שלום","היי","כן","לא","אוקיי","אוקי","בסדר","נו","דבר","תמשיך","קדימה","יאללה"]);
-
-  function parseName(text) {
-    const raw = cleanHebrewName(text);
-    if (!raw) return null;
-    const t = normalizeText(raw);
-    if (!t) return null;
-    if (NAME_TRASH.has(t)) return null;
-
-    const parts = raw.split(" ").filter(Boolean);
-    if (parts.length === 0) return null;
-    if (parts.length > 6) return null;
-
-    if (parts.length === 1) return { first: parts[0], last: "" };
-    return { first: parts[0], last: parts.slice(1).join(" ") };
-  }
-
-  const HEB_DIGIT_WORDS = new Map([
-    ["אפס","0"],["0","0"],
-    ["אחד","1"],["אחת","1"],["1","1"],
-    ["שתיים","2"],["שניים","2"],["שתים","2"],["2","2"],
-    ["שלוש","3"],["שלושה","3"],["3","3"],
-    ["ארבע","4"],["ארבעה","4"],["4","4"],
-    ["חמש","5"],["חמישה","5"],["5","5"],
-    ["שש","6"],["שישה","6"],["6","6"],
-    ["שבע","7"],["שבעה","7"],["7","7"],
-    ["שמונה","8"],["8","8"],
-    ["תשע","9"],["תשעה","9"],["9","9"],
-  ]);
-
-  function extractPhoneFromTranscript(text) {
-    const direct = digitsOnly(text);
-    if (direct.length >= 9 && direct.length <= 10) return direct;
-
-    const tokens = normalizeText(text).split(" ").filter(Boolean);
-    const digits = [];
-    for (const tok of tokens) {
-      if (HEB_DIGIT_WORDS.has(tok)) digits.push(HEB_DIGIT_WORDS.get(tok));
-    }
-    const joined = digits.join("");
-    if (joined.length >= 9 && joined.length <= 10) return joined;
-    return "";
+  async function answerQuestion(transcript, minScore) {
+    const hit = await answerFromKb(transcript, minScore, lang);
+    if (!hit) return false;
+    logCallEvent(callSid, "kb_answer", { id: hit.id, score: hit.score, text: transcript });
+    if (ENV.MB_LOG_BOT) logInfo("[KB]", { id: hit.id, score: hit.score });
+    sayQueue(hit.answer);
+    askCurrentQuestionQueued();
+    return true;
+  }
+
+  function recordUnansweredQuestion(transcript) {
+    const c = getCall(callSid);
+    c.meta.unansweredQuestions = [...(c.meta.unansweredQuestions || []), { ts: nowIso(), state, text: safeStr(transcript) }];
+    logCallEvent(callSid, "kb_unanswered", { state, text: transcript });
+    saveCall(c);
+  }
+
+  // Whether the step (or one of its alternates) would take the text as an answer; a phone step that joins
+  // chunks takes any digits.
+  function stepAccepts(step, text) {
+    if (step.accumulateDigits) {
+      if (phoneDigits || parseSpokenDigits(text, "", lang)) return true;
+    } else if (STEP_PARSERS[step.parser](text, step, lang) != null) {
+      return true;
+    }
+    return (step.alternates || []).some((alt) => STEP_PARSERS[alt.parser](text, alt, lang) != null);
+  }
+
+  async function handleStepInput(text) {
+    const step = flow.steps[state];
+    if (!step) return;
+
+    let value;
+    if (step.accumulateDigits) {
+      const acc = accumulatePhoneDigits(text);
+      if (acc.wait) return;
+      value = acc.value;
+    } else {
+      value = STEP_PARSERS[step.parser](text, step, lang);
+    }
+    if (value != null) {
+      await runStepValue(step, value);
+      return;
+    }
+
+    for (const alt of step.alternates || []) {
+      const altValue = STEP_PARSERS[alt.parser](text, alt, lang);
+      if (altValue == null) continue;
+      const scope = flowScope(altValue);
+      await runTransition(pickTransition(alt, scope), scope);
+      return;
+    }
+
+    await handleStepNoMatch();
+  }
+
+  async function runStepValue(step, value) {
+    const scope = flowScope(value);
+    applyFlowSet(step.set, scope);
+    const onKey = typeof value === "string" ? value : value?.id;
+    const onSpec = onKey && step.on ? step.on[onKey] : null;
+    await runTransition(pickTransition(onSpec || step.next, scope), scope);
+  }
+
+  function resetPhoneDigits() {
+    if (phoneChunkTimer) clearTimeout(phoneChunkTimer);
+    phoneChunkTimer = null;
+    phoneDigits = "";
+  }
+
+  // Joins "אפס חמש שתיים" ... "שלוש ארבע חמש" ... into one number. { wait: true } while the digits so far can
+  // still become a valid number (a silence of MB_PHONE_CHUNK_WAIT_MS then counts as a failed attempt),
+  // { value } once they do, { value: null } when they cannot.
+  function accumulatePhoneDigits(text) {
+    if (phoneChunkTimer) clearTimeout(phoneChunkTimer);
+    phoneChunkTimer = null;
+
+    const t = normalizeText(text);
+    if (lang.restart.some((p) => t.includes(p))) {
+      phoneDigits = "";
+      sayQueue(PROMPTS.phoneStartOver);
+      return { wait: true };
+    }
+
+    if (!parseSpokenDigits(text, "", lang) && !phoneDigits) return { value: null };
+    const joined = spokenPhoneCandidate(text, phoneDigits, lang);
+    const phone = classifyPhone(joined);
+    if (phone.ok) {
+      phoneDigits = "";
+      return { value: phone.local };
+    }
+    if (!couldBePhonePrefix(joined)) {
+      phoneDigits = "";
+      return { value: null };
+    }
+
+    phoneDigits = joined;
+    if (ENV.MB_LOG_TRANSCRIPTS) logInfo("[PHONE] partial", { digits: phoneDigits });
+    const waitingIn = state;
+    phoneChunkTimer = setTimeout(() => {
+      phoneChunkTimer = null;
+      if (callClosed || state !== waitingIn) return;
+      phoneDigits = "";
+      handleStepNoMatch().catch((e) => logError("Phone chunk timeout failed", String(e?.message || e)));
+    }, Math.max(500, ENV.MB_PHONE_CHUNK_WAIT_MS || 0));
+    return { wait: true };
+  }
+
+  function resetKeypad() {
+    if (keypadTimer) clearTimeout(keypadTimer);
+    keypadTimer = null;
+    keypadDigits = "";
+  }
+
+  // A key pressed on a step with "keypad". A key map turns the key into the step's value ("1" -> "yes"); on a
+  // "digits" step keys are collected until "#" or MB_DTMF_TIMEOUT_MS without a key ("*" starts over) and the
+  // whole entry goes through the step's parser like a spoken answer.
+  async function handleKeypad(step, digit) {
+    lastKeyAt = Date.now();
+    armIdleTimers();
+    if (!keypadDigits) stopSpeaking();
+
+    if (step.keypad !== "digits") {
+      const value = step.keypad[digit];
+      logCallEvent(callSid, "dtmf", { state, digit, value: value || "" });
+      if (value) await runStepValue(step, value);
+      else await handleStepNoMatch();
+      return;
+    }
+
+    resetPhoneDigits(); // typing replaces a number half said aloud
+    if (keypadTimer) clearTimeout(keypadTimer);
+    keypadTimer = null;
+    if (digit === "*") {
+      keypadDigits = "";
+      return;
+    }
+    if (digit !== "#") {
+      keypadDigits += digit;
+      const typedIn = state;
+      keypadTimer = setTimeout(() => {
+        keypadTimer = null;
+        if (callClosed || state !== typedIn) return;
+        submitKeypadDigits().catch((e) => logError("Keypad timeout failed", String(e?.message || e)));
+      }, Math.max(1000, ENV.MB_DTMF_TIMEOUT_MS || 0));
+      return;
+    }
+    await submitKeypadDigits();
+  }
+
+  async function submitKeypadDigits() {
+    const step = flow.steps[state];
+    const digits = keypadDigits;
+    resetKeypad();
+    if (!step || !digits) return;
+
+    logCallEvent(callSid, "dtmf", { state, digits });
+    if (ENV.MB_LOG_TRANSCRIPTS) logInfo("USER> [keypad]", digits);
+    const value = STEP_PARSERS[step.parser](digits, step, lang);
+    if (value == null) {
+      await handleStepNoMatch();
+      return;
+    }
+    await runStepValue(step, value);
+  }
+
+  async function handleStepNoMatch() {
+    const step = flow.steps[state];
+    if (!step) return;
+
+    const key = step.retryKey || state;
+    retries[key] = (retries[key] || 0) + 1;
+    persistCallState();
+    if (step.maxRetries > 0 && retries[key] >= step.maxRetries) {
+      const scope = flowScope();
+      await runTransition(pickTransition(step.onFail, scope), scope);
+      return;
+    }
+    sayQueue(renderText(step.reprompt || step.prompt, flowScope()));
+    if (step.keypadHint && retries[key] === 1) sayQueue(renderText(step.keypadHint, flowScope()));
   }
 
-  function isMobileCallerE164(e164) {
-    const s = safeStr(e164);
-    return s.startsWith("+9725");
+  function startFlowProactively() {
+    if (flowStarted) return;
+    flowStarted = true;
+
+    state = redirectedStep(flowEntryStep(flow));
+    recordStepReached(state);
+    persistCallState();
+    logInfo(`[FLOW] opening -> ${state} (proactive)`, { flow: flow.id });
+    if (!openingPlayedByTwilio) {
+      const opening = renderText(openingText || flow.opening || ENV.MB_OPENING_TEXT, flowScope());
+      if (opening) sayQueue(opening);
+    }
+    if (ENV.MB_LANGUAGE_MENU && !languageSettled) {
+      for (const l of CALL_LOCALES) if (l !== lang && l.menu) sayQueue(l.menu, l);
+    }
+    askCurrentQuestionQueued();
+    armIdleTimers();
+    armMaxCallTimers();
   }
 
   async function finishCall(reason, opts = {}) {
@@ -794,15 +4247,23 @@ wss.on("connection", (twilioWs) => {
     clearTimers();
     clearConfirmWatchdog();
 
+    // lead_final goes out only after the closing line or the recording; the campaign status callback can come first.
+    // The first reason stands: a remark heard while the voicemail message plays does not make it a refusal.
+    const c = getCall(callSid);
+    if (!c.meta.endReason) {
+      c.meta.endReason = reason || "completed_flow";
+      saveCall(c);
+    }
+
     const skipClosing = !!opts.skipClosing;
 
     if (!skipClosing) {
-      state = STATES.DONE;
+      setState(FLOW_DONE, { reason: reason || "completed_flow" });
 
-      const r = await playTwilioAsset(callSid, TWILIO_CLOSING_MP3_URL);
+      // the closing MP3 is recorded in Hebrew
+      const r = lang === HEBREW_LOCALE ? await playTwilioAsset(callSid, TWILIO_CLOSING_MP3_URL) : { ok: false };
       if (!r.ok) {
-        const closing = ENV.MB_CLOSING_TEXT || "תודה רבה, הפרטים נרשמו. נציג המרכז יחזור אליכם בהקדם. יום טוב.";
-        sayQueue(closing);
+        sayQueue(PROMPTS.closing);
 
         endRequested = true;
         endReason = reason || "completed_flow";
@@ -819,7 +4280,7 @@ wss.on("connection", (twilioWs) => {
       return;
     }
 
-    state = STATES.DONE;
+    setState(FLOW_DONE, { reason: reason || "completed_flow" });
     endRequested = true;
     endReason = reason || "completed_flow";
     const minGrace = 6500;
@@ -830,14 +4291,122 @@ wss.on("connection", (twilioWs) => {
   async function finalizeAndHangup(reason) {
     if (!callSid) return;
     const c = getCall(callSid);
-    if (c.finalTimer) return;
+    if (c.finalTimer || hangupScheduled) return;
+    hangupScheduled = true;
+
+    // synthesis of the voicemail message ends long before the machine has recorded it: wait for the playback
+    let delayMs = endAfterMs;
+    if (reason === "voicemail") {
+      await waitForSpeechDrained(VOICEMAIL_PLAYBACK_MAX_MS);
+      delayMs = VOICEMAIL_HANGUP_TAIL_MS;
+    }
 
     c.finalTimer = setTimeout(async () => {
       await sendFinal(callSid, reason || "call_end");
       await hangupCall(callSid);
       try { openaiWs.close(); } catch {}
       try { twilioWs.close(); } catch {}
-    }, endAfterMs);
+    }, delayMs);
+  }
+
+  function transcriptionSettings() {
+    // left open, the model detects the language and detectLanguage() reads it off the transcript's script
+    if (!languageSettled) return { model: "gpt-4o-mini-transcribe" };
+    return { model: "gpt-4o-mini-transcribe", language: lang.stt, ...(lang.sttPrompt ? { prompt: lang.sttPrompt } : {}) };
+  }
+
+  // Settles the call's language; returns true when it changed.
+  function switchLanguage(locale, how) {
+    const changed = locale !== lang;
+    languageSettled = true;
+    lang = locale;
+    sendOpenAI({ type: "session.update", session: { input_audio_transcription: transcriptionSettings() } });
+
+    const c = getCall(callSid);
+    c.meta.language = lang.id;
+    saveCall(c);
+    if (!changed) return false;
+    logInfo("[LANG] switched", { callSid, language: lang.id, how });
+    logCallEvent(callSid, "language", { language: lang.id, how });
+    return true;
+  }
+
+  // Returns true when the utterance switched languages; the current question is then asked again in the new one
+  // (the first words in another language are "hello?" or "do you speak English", not an answer).
+  function checkLanguage(transcript) {
+    const asked = requestedLanguage(transcript, languageSettled);
+    const next = asked || (!languageSettled && detectLanguage(transcript));
+    if (!next || !switchLanguage(next, asked ? "asked" : "detected")) return false;
+    stopSpeaking();
+    askCurrentQuestionQueued();
+    return true;
+  }
+
+  // Returns true when the opening has to wait for the audio heuristic (see "Answering machine detection").
+  function startMachineDetection(answeredBy) {
+    if (answeredBy === "human") {
+      getCall(callSid).meta.answeredBy = "human";
+      return false;
+    }
+    if (!answeredBy && !ENV.MB_AMD_HEURISTIC) return false;
+
+    amd = { phase: "listening", answeredAt: Date.now(), audioMs: 0, runMs: 0, silentMs: 0, machineMs: 0 };
+    if (answeredBy === "machine_start") machineDetected("twilio");
+    if (answeredBy === "machine") {
+      // DetectMessageEnd already waited for the beep
+      machineDetected("twilio");
+      leaveVoicemail();
+    }
+    return true;
+  }
+
+  function onMachineDetectionAudio(payload) {
+    const bytes = Buffer.from(payload, "base64");
+    const ms = bytes.length / 8; // 8kHz µ-law: one byte per sample
+    const voiced = ulawFrameLevel(bytes) >= AMD_VOICE_LEVEL;
+    amd.audioMs += ms;
+    amd.silentMs = voiced ? 0 : amd.silentMs + ms;
+
+    if (amd.phase === "machine") {
+      amd.machineMs += ms;
+      if (amd.silentMs >= AMD_MESSAGE_END_SILENCE_MS || amd.machineMs >= AMD_MESSAGE_END_MAX_MS) leaveVoicemail();
+      return;
+    }
+
+    if (amd.runMs === 0 && !voiced) {
+      if (amd.audioMs >= AMD_NO_SPEECH_MS) humanDetected("no_speech");
+      return;
+    }
+    amd.runMs += ms;
+    if (amd.runMs - amd.silentMs >= ENV.MB_AMD_GREETING_MS) machineDetected("long_greeting");
+    else if (amd.silentMs >= AMD_PAUSE_MS) humanDetected("short_greeting");
+  }
+
+  function humanDetected(why) {
+    amd.phase = "done";
+    getCall(callSid).meta.answeredBy = "human";
+    logInfo("[AMD] person answered", { callSid, why, afterMs: amd.audioMs });
+    logCallEvent(callSid, "amd", { result: "human", why });
+    // the "הלו" is not an answer to the first question
+    try { sendOpenAI({ type: "input_audio_buffer.clear" }); } catch {}
+    startFlowProactively();
+  }
+
+  function machineDetected(why) {
+    if (amd.phase === "machine") return;
+    amd.phase = "machine";
+    amd.silentMs = 0;
+    getCall(callSid).meta.answeredBy = "machine";
+    logInfo("[AMD] answering machine", { callSid, why, afterMs: amd.audioMs });
+    logCallEvent(callSid, "amd", { result: "machine", why });
+    clearTimers();
+    stopSpeaking();
+  }
+
+  function leaveVoicemail() {
+    amd.phase = "done";
+    sayQueue(voicemailText);
+    finishCall("voicemail", { skipClosing: true }).catch(() => {});
   }
 
   openaiWs.on("open", () => {
@@ -860,11 +4429,7 @@ wss.on("connection", (twilioWs) => {
           prefix_padding_ms: ENV.MB_VAD_PREFIX_MS,
           silence_duration_ms: ENV.MB_VAD_SILENCE_MS,
         },
-        input_audio_transcription: {
-          model: "gpt-4o-mini-transcribe",
-          language: ENV.MB_STT_LANGUAGE,
-          prompt: "תמללו בעברית תקינה. שמות בעברית. מספרי טלפון בישראל מתחילים ב-0.",
-        },
+        input_audio_transcription: transcriptionSettings(),
       },
     });
   });
@@ -873,13 +4438,21 @@ wss.on("connection", (twilioWs) => {
     let msg;
     try { msg = JSON.parse(data.toString()); } catch { return; }
 
+    if (msg.type === "input_audio_buffer.speech_started") {
+      bargeIn();
+      return;
+    }
+
     if (msg.type === "conversation.item.input_audio_transcription.completed") {
       const transcript = (msg.transcript || "").trim();
       if (!transcript) return;
 
       if (!listenEnabled || Date.now() < listenResumeAt) return;
+      // keypad tones reach STT as noise
+      if (Date.now() - lastKeyAt < KEYPAD_ECHO_MS) return;
 
-      if (transcript.includes("תמללו בעברית תקינה") || transcript.includes("שמות בעברית")) {
+      const promptEcho = lang !== HEBREW_LOCALE && lang.sttPrompt && transcript.includes(lang.sttPrompt);
+      if (transcript.includes("תמללו בעברית תקינה") || transcript.includes("שמות בעברית") || promptEcho) {
         askCurrentQuestionQueued();
         return;
       }
@@ -887,94 +4460,29 @@ wss.on("connection", (twilioWs) => {
       addTranscriptMemory(callSid, transcript);
       if (ENV.MB_LOG_TRANSCRIPTS) logInfo("USER>", transcript);
 
-      armIdleTimers();
-
-      if (isRefusal(transcript)) {
-        sayQueue("בסדר. תודה ויום נעים.");
-        await finishCall("user_refused", { skipClosing: true });
-        return;
+      if (amd && !callClosed) {
+        const early = Date.now() - amd.answeredAt < AMD_PHRASE_WINDOW_MS;
+        if (amd.phase !== "machine" && early && isVoicemailGreeting(transcript)) machineDetected("phrase");
+        // until it is settled who answered, nothing said is an answer to the flow
+        if (amd.phase !== "done") return;
       }
 
-      if (state === STATES.ASK_NAME) {
-        const nameObj = parseName(transcript);
-        if (!nameObj) {
-          retries.name += 1;
-          if (retries.name >= 3) {
-            sayQueue("לא הצלחתי לקלוט שם. תודה ויום נעים.");
-            await finishCall("name_missing", { skipClosing: true });
-            return;
-          }
-          sayQueue("לא שמעתי טוב. מה השם המלא שלכם?");
-          return;
-        }
-
-        pendingName = nameObj;
-        const c = getCall(callSid);
-        c.lead.first_name = pendingName.first || "";
-        c.lead.last_name = pendingName.last || "";
-
-        if (caller && isMobileCallerE164(caller) && callerPhoneLocal) {
-          c.lead.phone_number = callerPhoneLocal;
-          logInfo("[STATE] ASK_NAME -> DONE (mobile caller, use caller)", { phone_number: callerPhoneLocal });
-          await finishCall("completed_flow");
-          return;
-        }
+      armIdleTimers();
 
-        state = STATES.ASK_PHONE;
-        logInfo("[STATE] ASK_NAME -> ASK_PHONE", { caller: caller || "anonymous" });
-        askCurrentQuestionQueued();
+      if (checkLanguage(transcript)) {
+        persistCallState();
         return;
       }
 
-      if (state === STATES.ASK_PHONE) {
-        const p = extractPhoneFromTranscript(transcript);
-
-        if (!p || !isValidILPhoneDigits(p)) {
-          retries.phone += 1;
-          if (retries.phone >= 3) {
-            sayQueue("לא הצלחתי לקלוט מספר תקין. תודה ויום נעים.");
-            await finishCall("invalid_phone", { skipClosing: true });
-            return;
-          }
-          sayQueue("לא קלטתי. אפשר לחזור על מספר הטלפון לחזרה?");
-          return;
-        }
-
-        pendingPhone = p;
-        state = STATES.CONFIRM_PHONE;
-        logInfo("[STATE] ASK_PHONE -> CONFIRM_PHONE", { pendingPhone });
-        askCurrentQuestionQueued();
+      if (refusalEndsCall(transcript, lang, flow, state)) {
+        sayQueue(PROMPTS.refusalBye);
+        await finishCall("user_refused", { skipClosing: true });
         return;
       }
 
-      if (state === STATES.CONFIRM_PHONE) {
-        const yn = detectYesNo(transcript);
-
-        if (yn === "yes") {
-          const c = getCall(callSid);
-          c.lead.phone_number = pendingPhone;
-          logInfo("[STATE] CONFIRM_PHONE -> DONE", { phone_number: pendingPhone });
-          await finishCall("completed_flow");
-          return;
-        }
-
-        if (yn === "no") {
-          state = STATES.ASK_PHONE;
-          logInfo("[STATE] CONFIRM_PHONE -> ASK_PHONE (retry)");
-          sayQueue("אוקיי. תגידו שוב את המספר.");
-          return;
-        }
-
-        const p = extractPhoneFromTranscript(transcript);
-        if (p && isValidILPhoneDigits(p)) {
-          pendingPhone = p;
-          askCurrentQuestionQueued();
-          return;
-        }
-
-        sayQueue("כן או לא?");
-        return;
-      }
+      if (!(await handleOffScript(transcript))) await handleStepInput(transcript);
+      persistCallState();
+      return;
     }
 
     if (msg.type === "error") {
@@ -997,8 +4505,9 @@ wss.on("connection", (twilioWs) => {
       caller = custom.caller || "";
       called = custom.called || "";
       openingPlayedByTwilio = String(custom.opening_played || "") === "1";
+      flow = getFlow(custom.flow);
 
-      callerPhoneLocal = (caller || "").startsWith("+972") ? "0" + caller.slice(4) : digitsOnly(caller);
+      callerPhoneLocal = classifyPhone(caller).local || digitsOnly(caller);
 
       logInfo("CALL start", { streamSid, callSid, caller, called, callerPhoneLocal });
 
@@ -1007,21 +4516,55 @@ wss.on("connection", (twilioWs) => {
       c.caller = caller;
       c.called = called;
       c.callerPhoneLocal = callerPhoneLocal;
-      c.meta.consent = "skipped";
+      c.meta.consent = "not_asked";
+      c.meta.afterHours = String(custom.after_hours || "") === "1";
+
+      // outbound campaign call: the lead's known fields are filled in so the flow skips them
+      const campaignLead = custom.lead ? callStore.campaignLeadGet(safeStr(custom.lead)) : null;
+      if (campaignLead) {
+        const campaign = callStore.campaignGet(campaignLead.campaignId);
+        const f = campaignLead.fields || {};
+        c.meta.campaign = { id: campaignLead.campaignId, leadId: campaignLead.id, attempt: campaignLead.attempts };
+        c.lead.phone_number = campaignLead.phoneLocal;
+        if (f.study_track) c.lead.study_track = f.study_track;
+        if (f.first_name) pending.known = { first: f.first_name, last: f.last_name || "", full: [f.first_name, f.last_name].filter(Boolean).join(" ") };
+        openingText = campaign?.opening || ENV.MB_OUTBOUND_OPENING_TEXT;
+        if (getCallLocale(f.language)) switchLanguage(getCallLocale(f.language), "lead");
+        voicemailText = campaign?.voicemail || ENV.MB_VOICEMAIL_TEXT;
+        logInfo("[CAMPAIGN] outbound call", { callSid, campaign: campaignLead.campaignId, lead: campaignLead.id });
+      }
 
-      const rec = await startRecordingIfEnabled(callSid);
-      logInfo("RECORDING>", rec);
-      if (rec.ok) c.recordingSid = rec.sid || "";
+      const known = pending.known ? null : await lookupReturningCaller(callerPhoneLocal, callSid);
+      if (known) {
+        pending.known = {
+          first: known.first_name,
+          last: known.last_name,
+          full: [known.first_name, known.last_name].filter(Boolean).join(" "),
+          previous: { callSid: known.callSid, source: known.source },
+        };
+        logInfo("[RETURNING] known caller", { callSid, previous: known.callSid, source: known.source });
+      }
 
       flowStarted = false;
+      state = flowEntryStep(flow);
 
-      state = STATES.ASK_NAME;
-      callClosed = false;
-      logInfo("[FLOW] start -> ASK_NAME (opening already played by Twilio)");
-      setTimeout(() => startFlowProactively(), 0);
+      // with a consent step the recording starts only once the caller agrees (applyRecordingConsent)
+      const rec = state === flow.start ? await startRecordingIfEnabled(callSid) : { ok: false, reason: "awaiting_consent" };
+      logInfo("RECORDING>", rec);
+      if (rec.ok) c.recordingSid = rec.sid || "";
 
+      callClosed = false;
+      logInfo(`[FLOW] start -> ${state} (opening ${openingPlayedByTwilio ? "already played by Twilio" : "spoken by bot"})`, {
+        flow: flow.id,
+      });
+      persistCallState();
+      logCallEvent(callSid, "start", { flow: flow.id, caller, called, recording: rec.reason });
       armIdleTimers();
       armMaxCallTimers();
+
+      // outbound: the opening waits until it is clear a person picked up
+      const holdOpening = !!campaignLead && startMachineDetection(classifyAnsweredBy(custom.answered_by));
+      if (!holdOpening) setTimeout(() => startFlowProactively(), 0);
       return;
     }
 
@@ -1029,21 +4572,47 @@ wss.on("connection", (twilioWs) => {
       const payload = data.media?.payload;
       if (!payload) return;
 
+      if (amd && amd.phase !== "done" && !callClosed) onMachineDetectionAudio(payload);
       if (!listenEnabled || Date.now() < listenResumeAt) return;
       sendOpenAI({ type: "input_audio_buffer.append", audio: payload });
       return;
     }
 
+    // a step with "keypad" takes the key; otherwise it can pick a language from the menu (see MB_LANGUAGE_MENU)
+    // until the language is settled
+    if (data.event === "dtmf") {
+      const digit = safeStr(data.dtmf?.digit);
+      if (!flowStarted || callClosed || !digit) return;
+      const step = flow.steps[state];
+      if (step?.keypad) {
+        handleKeypad(step, digit).catch((e) => logError("Keypad input failed", String(e?.message || e)));
+        return;
+      }
+      const chosen = !languageSettled ? CALL_LOCALES.find((l) => l.dtmf === digit) : null;
+      if (!chosen) return;
+      logCallEvent(callSid, "dtmf", { digit, language: chosen.id });
+      switchLanguage(chosen, "dtmf");
+      stopSpeaking();
+      askCurrentQuestionQueued();
+      return;
+    }
+
     if (data.event === "stop") {
       callClosed = true;
       logInfo("Twilio stop", { streamSid, callSid });
 
-      // preserve pendingPhone if call ends before "כן"
+      // preserve pending.phone if call ends before "כן"
       try {
         const c = getCall(callSid);
-        if (!c.lead.phone_number && pendingPhone && isValidILPhoneDigits(pendingPhone)) {
-          c.lead.phone_number = pendingPhone;
-          logInfo("[FIX] stop -> preserved pendingPhone into lead", { phone_number: pendingPhone });
+        if (!c.lead.phone_number && pending.phone && isValidPhone(pending.phone)) {
+          c.lead.phone_number = pending.phone;
+          logInfo("[FIX] stop -> preserved pending.phone into lead", { phone_number: pending.phone });
+        }
+        // same for a name heard but not confirmed yet; its confidence stays the unconfirmed one
+        if (!c.lead.first_name && pending.name?.first) {
+          c.lead.first_name = pending.name.first;
+          c.lead.last_name = pending.name.last || "";
+          c.lead.name_confidence = pending.name.confidence;
         }
       } catch {}
 
@@ -1052,9 +4621,10 @@ wss.on("connection", (twilioWs) => {
 
       const c = getCall(callSid);
       c.endedAt = nowIso();
+      saveCall(c);
 
       if (!c.finalSent) {
-        await sendFinal(callSid, "twilio_stop");
+        await sendFinalAfterStream(callSid, "twilio_stop");
       }
 
       try { openaiWs.close(); } catch {}
@@ -1068,8 +4638,12 @@ wss.on("connection", (twilioWs) => {
     clearConfirmWatchdog();
     if (callSid) {
       const c = getCall(callSid);
+      if (!c.endedAt) {
+        c.endedAt = nowIso();
+        saveCall(c);
+      }
       if (!c.finalSent) {
-        await sendFinal(callSid, "ws_close");
+        await sendFinalAfterStream(callSid, "ws_close");
       }
     }
     try { openaiWs.close(); } catch {}
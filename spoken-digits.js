@@ -0,0 +1,227 @@
+// spoken-digits.js
+// Turns what a caller said into phone digits. Kept apart from server.js so the parsers can be tested on their own;
+// server.js also takes normalizeText from here, so locale words and transcripts are normalized the same way.
+
+function normalizeText(s) {
+  return (s || "")
+    .toString()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// Phone numbers come from ASR as a mix of digits and Hebrew number words: "אפס חמישים ושתיים, שלוש מאות עשרים",
+// "052 כפול שלוש", "פלוס תשע שבע שתיים...", with self-corrections ("לא, בסוף זה שבע", "שבע במקום שש").
+// Each spoken number keeps its own digits ("חמישים ושתיים" -> "52", "שלוש מאות ושתיים" -> "302").
+const HEB_UNIT_WORDS = new Map([
+  ["אפס", 0],
+  ["אחד", 1], ["אחת", 1],
+  ["שתיים", 2], ["שתים", 2], ["שניים", 2], ["שנים", 2],
+  ["שלוש", 3], ["שלושה", 3], ["שלש", 3],
+  ["ארבע", 4], ["ארבעה", 4],
+  ["חמש", 5], ["חמישה", 5],
+  ["שש", 6], ["שישה", 6],
+  ["שבע", 7], ["שבעה", 7],
+  ["שמונה", 8],
+  ["תשע", 9], ["תשעה", 9],
+]);
+const HEB_TENS_WORDS = new Map([
+  ["עשר", 10], ["עשרה", 10], ["עשרים", 20], ["שלושים", 30], ["ארבעים", 40], ["חמישים", 50],
+  ["שישים", 60], ["שבעים", 70], ["שמונים", 80], ["תשעים", 90],
+]);
+// "מאות" / "אלפים" are 100 / 1000 on their own and multiply a unit said before them ("שלוש מאות")
+const HEB_HUNDREDS_WORDS = new Map([["מאה", 100], ["מאות", 100], ["מאתיים", 200]]);
+const HEB_THOUSANDS_WORDS = new Map([["אלף", 1000], ["אלפים", 1000], ["אלפיים", 2000]]);
+const HEB_REPEAT_WORDS = new Map([["כפול", 2], ["פעמיים", 2], ["דאבל", 2], ["משולש", 3], ["טריפל", 3]]);
+// after a unit: "שלוש עשרה" is 13, "שלוש פעמים אחת" is 111
+const HEB_TEEN_WORDS = new Set(["עשר", "עשרה"]);
+const HEB_TIMES_WORDS = new Set(["פעמים"]);
+// words after which the caller is fixing what they just said
+const PHONE_CORRECTION_WORDS = new Set(["לא", "סליחה", "טעות", "טעיתי", "בעצם", "כלומר", "אופס"]);
+
+// The number vocabulary of a locale (server.js builds the other languages from locales/*.json)
+const HEBREW_NUMBER_WORDS = {
+  units: HEB_UNIT_WORDS,
+  tens: HEB_TENS_WORDS,
+  hundreds: HEB_HUNDREDS_WORDS,
+  thousands: HEB_THOUSANDS_WORDS,
+  repeat: HEB_REPEAT_WORDS,
+  teens: HEB_TEEN_WORDS,
+  times: HEB_TIMES_WORDS,
+  conjunction: "ו",
+  corrections: PHONE_CORRECTION_WORDS,
+  insteadOf: "במקום",
+  plus: "פלוס",
+};
+
+// Same shape from the number words of a locales/*.json file
+function numberWordsFromLocale(raw) {
+  const words = (v) => (Array.isArray(v) ? v.map(normalizeText).filter(Boolean) : []);
+  const numbers = (v) =>
+    new Map(
+      Object.entries(v || {})
+        .map(([w, n]) => [normalizeText(w), Number(n)])
+        .filter(([w, n]) => w && Number.isInteger(n))
+    );
+  return {
+    units: numbers(raw.units),
+    tens: numbers(raw.tens),
+    hundreds: numbers(raw.hundreds),
+    thousands: numbers(raw.thousands),
+    repeat: numbers(raw.repeat),
+    teens: new Set(words(raw.teens)),
+    times: new Set(words(raw.times)),
+    conjunction: normalizeText(raw.conjunction),
+    corrections: new Set(words(raw.corrections)),
+    insteadOf: normalizeText(raw.insteadOf),
+    plus: normalizeText(raw.plus) || "plus",
+  };
+}
+
+function numberWordValue(tok, locale) {
+  for (const kind of ["units", "tens", "hundreds", "thousands"]) {
+    if (locale[kind].has(tok)) return { kind, n: locale[kind].get(tok) };
+  }
+  return null;
+}
+
+// Splits one run of words into spoken numbers, each as its digit string.
+function parseNumberItems(tokens, locale = HEBREW_NUMBER_WORDS) {
+  const items = [];
+  let value = null; // number being built
+  let room = 0; // largest place value that can still join it: 100 after thousands, 10 after hundreds, 1 after tens
+  let times = 1; // repeat count of the number being built
+  let pendingTimes = 1; // set by "כפול" / "שלוש פעמים", applies to the next number
+
+  const flush = () => {
+    if (value != null) items.push(String(value).repeat(times));
+    value = null;
+    room = 0;
+    times = 1;
+  };
+  const begin = (n, nextRoom) => {
+    flush();
+    value = n;
+    room = nextRoom;
+    times = pendingTimes;
+    pendingTimes = 1;
+  };
+  const add = (n, place, nextRoom) => {
+    if (value != null && value !== 0 && place <= room) {
+      value += n;
+      room = nextRoom;
+    } else {
+      begin(n, nextRoom);
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    let tok = tokens[i];
+    const next = tokens[i + 1] || "";
+
+    if (/^\d+$/.test(tok)) {
+      flush();
+      items.push(tok.repeat(pendingTimes));
+      pendingTimes = 1;
+      continue;
+    }
+    if (locale.repeat.has(tok)) {
+      flush();
+      pendingTimes = locale.repeat.get(tok);
+      continue;
+    }
+
+    const and = locale.conjunction;
+    let word = numberWordValue(tok, locale);
+    if (!word && and && tok.length > 2 && tok.startsWith(and)) word = numberWordValue((tok = tok.slice(and.length)), locale); // "ושתיים"
+    if (!word) {
+      if (tok !== and && tok !== locale.plus) flush();
+      continue;
+    }
+
+    const { kind, n } = word;
+    if (kind === "units") {
+      if (n === 0) {
+        begin(0, 0); // "אפס" is always its own digit, never part of "עשרים"
+      } else if (locale.teens.has(next)) {
+        add(10 + n, 10, 0);
+        i++;
+      } else if (locale.hundreds.get(next) === 100) {
+        add(n * 100, 100, 10); // "three hundred", "ثلاث مية"
+        i++;
+      } else if (locale.thousands.get(next) === 1000) {
+        add(n * 1000, 1000, 100);
+        i++;
+      } else if (locale.times.has(next)) {
+        flush();
+        pendingTimes = n;
+        i++;
+      } else {
+        add(n, 1, 0);
+      }
+    } else if (kind === "tens") {
+      // "twelve" / "двенадцать" are complete like "עשר"; "fifty" can still take a unit
+      add(n, 10, n % 10 === 0 && n !== 10 ? 1 : 0);
+    } else if (kind === "hundreds") {
+      add(n, 100, 10);
+    } else {
+      add(n, 1000, 100);
+    }
+  }
+  flush();
+  return items;
+}
+
+// All digits the caller said, with corrections applied: a short group after "לא"/"סליחה" replaces the same
+// number of trailing digits, a full-length one replaces everything, and "B במקום A" swaps the last A for B.
+// "prefix" = digits heard in earlier utterances; new digits extend it and corrections apply to it.
+function parseSpokenDigits(text, prefix = "", locale = HEBREW_NUMBER_WORDS) {
+  // a comma in the transcript is a pause: "three hundred twenty, four" is 320 and 4, not 324
+  const tokens = String(text || "")
+    .split(/[,،;]/)
+    .flatMap((part, i) => [...(i ? [","] : []), ...normalizeText(part).split(" ").filter(Boolean)]);
+  const segments = [[]];
+  for (const tok of tokens) {
+    if (locale.corrections.has(tok)) segments.push([]);
+    else segments[segments.length - 1].push(tok);
+  }
+
+  let digits = prefix;
+  const take = (part, idx) => {
+    if (!part) return;
+    if (idx === 0) digits += part;
+    else if (!digits || part.length >= 9) digits = part;
+    else digits = digits.slice(0, Math.max(0, digits.length - part.length)) + part;
+  };
+
+  segments.forEach((seg, idx) => {
+    const at = locale.insteadOf ? seg.indexOf(locale.insteadOf) : -1;
+    if (at < 0) return take(parseNumberItems(seg, locale).join(""), idx);
+
+    // "...שש שבע, שבע במקום שש": the number said before the swap, then right = last item before "במקום"
+    const before = parseNumberItems(seg.slice(0, at), locale);
+    const after = parseNumberItems(seg.slice(at + 1), locale);
+    take(before.slice(0, -1).join(""), idx);
+    const [wrong, right] = before.length ? [after.join(""), before[before.length - 1]] : [after[0] || "", after.slice(1).join("")];
+    const pos = wrong && right ? digits.lastIndexOf(wrong) : -1;
+    if (pos >= 0) digits = digits.slice(0, pos) + right + digits.slice(pos + wrong.length);
+  });
+  return digits;
+}
+
+// "פלוס ארבע ארבע..." / "+44..." — the caller is giving an international number
+function spokenPhoneCandidate(text, prefix = "", locale = HEBREW_NUMBER_WORDS) {
+  const own = parseSpokenDigits(text, "", locale);
+  const plus = String(text || "").includes("+") || (locale.plus && normalizeText(text).includes(locale.plus)) ? "+" : "";
+  return own.length >= 9 ? plus + own : parseSpokenDigits(text, prefix || plus, locale);
+}
+
+module.exports = {
+  normalizeText,
+  HEBREW_NUMBER_WORDS,
+  numberWordsFromLocale,
+  parseNumberItems,
+  parseSpokenDigits,
+  spokenPhoneCandidate,
+};
@@ -0,0 +1,62 @@
+// Phone numbers as the realtime transcription hands them to us, and the digits the bot should end up with.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { numberWordsFromLocale, parseNumberItems, parseSpokenDigits, spokenPhoneCandidate } = require("../spoken-digits");
+
+const words = (s) => s.split(" ");
+
+test("each spoken number keeps its own digits", () => {
+  assert.deepEqual(parseNumberItems(words("אפס חמישים ושתיים")), ["0", "52"]);
+  assert.deepEqual(parseNumberItems(words("שלוש מאות ושתיים")), ["302"]);
+  assert.deepEqual(parseNumberItems(words("שלוש מאות עשרים")), ["320"]);
+  assert.deepEqual(parseNumberItems(words("שתים עשרה")), ["12"]);
+  assert.deepEqual(parseNumberItems(words("אלף תשע מאות")), ["1900"]);
+});
+
+const TRANSCRIPTS = [
+  // tens and hundreds
+  ["אפס חמישים ושתיים, שלוש מאות עשרים, ארבעים וחמש שש", "052320456"],
+  ["אפס חמישים וארבע, מאתיים שלושים ואחת, שבעים ושמונה תשעים", "0542317890"],
+  // digits and words mixed
+  ["052 שלוש מאות עשרים, ארבעים וחמש שש שבע", "0523204567"],
+  // repeats
+  ["052 כפול שלוש, ארבע חמש שש שבע", "052334567"],
+  ["אפס חמש ארבע, משולש שתיים, שלוש שלוש שש שש", "0542223366"],
+  ["אפס חמש שתיים, שלוש פעמים אחת, ארבע ארבע חמש חמש", "0521114455"],
+  // corrections
+  ["אפס חמש שתיים אחת שתיים שלוש ארבע חמש שש שש, לא, בסוף זה שבע", "0521234567"],
+  ["אפס חמש שתיים אחת שתיים שלוש ארבע חמש שש שש, שבע במקום שש", "0521234567"],
+  ["אפס חמש שתיים אחת שתיים שלוש, סליחה, אפס חמש ארבע אחת שתיים שלוש ארבע חמש שש שבע", "0541234567"],
+];
+
+for (const [said, digits] of TRANSCRIPTS) {
+  test(`"${said}"`, () => assert.equal(parseSpokenDigits(said), digits));
+}
+
+test("+972 numbers keep the plus", () => {
+  assert.equal(spokenPhoneCandidate("פלוס תשע שבע שתיים חמש שתיים אחת שתיים שלוש ארבע חמש שש שבע"), "+972521234567");
+  assert.equal(spokenPhoneCandidate("+972 52 123 4567"), "+972521234567");
+});
+
+test("a number dictated in chunks joins the digits heard so far", () => {
+  assert.equal(spokenPhoneCandidate("שלוש ארבע חמש שש שבע", "05212"), "0521234567");
+  assert.equal(parseSpokenDigits("לא, שמונה", "05212345"), "05212348");
+});
+
+const locale = (id) => numberWordsFromLocale(require(`../locales/${id}.json`));
+
+const OTHER_LOCALES = [
+  ["en", "oh five two, three hundred twenty, four five six seven", "0523204567"],
+  ["en", "zero fifty two double one, twenty three", "0521123"],
+  ["en", "oh five two, three times one, two thousand", "0521112000"],
+  ["en", "zero five two one, no, three", "0523"],
+  ["ru", "ноль пятьдесят два, триста двадцать, сорок пять шестьдесят семь", "0523204567"],
+  ["ru", "ноль пять два, три раза один, две тысячи", "0521112000"],
+  ["ru", "ноль пять два, дважды три, четыре пять шесть семь", "052334567"],
+  ["ar", "صفر خمسة اثنين، ثلاث مية وخمسة، ثلاث مرات واحد، اربعة", "0523051114"],
+  ["ar", "صفر خمسة اثنين، ثلاث عشر، دبل سبعة", "0521377"],
+];
+
+for (const [id, said, digits] of OTHER_LOCALES) {
+  test(`${id}: "${said}"`, () => assert.equal(parseSpokenDigits(said, "", locale(id)), digits));
+}
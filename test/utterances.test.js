@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const flow = require("../flows/default.json");
+const { replyWordsFromLocale, detectYesNo, isRefusal, refusalEndsCall, detectIntentHeuristic } = require("../utterances");
+
+const locale = (id) => replyWordsFromLocale(require(`../locales/${id}.json`));
+
+test("yes and no", () => {
+  assert.equal(detectYesNo("כן, נכון"), "yes");
+  assert.equal(detectYesNo("לא"), "no");
+  assert.equal(detectYesNo("ממש לא"), "no");
+  assert.equal(detectYesNo("דני כהן"), null);
+});
+
+test("a refusal ends the call", () => {
+  assert.equal(refusalEndsCall("לא מעוניין, תודה", undefined, flow, "ASK_NAME"), true);
+  assert.equal(refusalEndsCall("ביי", undefined, flow, "ASK_TRACK"), true);
+  assert.equal(refusalEndsCall("דני כהן", undefined, flow, "ASK_NAME"), false);
+});
+
+test('"לא רוצה שיקליטו" at the recording question declines the recording and goes on', () => {
+  const stepId = flow.recording.consentStep;
+  const step = flow.steps[stepId];
+  const said = "לא רוצה שיקליטו";
+
+  assert.equal(isRefusal(said), true);
+  assert.equal(refusalEndsCall(said, undefined, flow, stepId), false);
+  assert.equal(step.parser, "yesno");
+  const answer = detectYesNo(said);
+  assert.equal(answer, "no");
+  assert.equal(step.on[answer].consent, "declined");
+  assert.equal(step.on[answer].goto, flow.start);
+});
+
+const INTENTS = [
+  ["he", "מה? לא שמעתי", "repeat"],
+  ["he", "אפשר לדבר עם נציג?", "human"],
+  ["he", "וכמה זה עולה?", "question"],
+  ["he", "מה שנוח לכם", "answer"],
+  ["en", "sorry, say that again", "repeat"],
+  ["en", "can I talk to a person", "human"],
+  ["en", "how much does it cost?", "question"],
+  ["en", "whatever works for you", "answer"],
+  ["ru", "что? не расслышал", "repeat"],
+  ["ru", "соедините с оператором", "human"],
+  ["ru", "сколько стоит курс?", "question"],
+  ["ar", "عفوا، ما سمعت", "repeat"],
+  ["ar", "بدي احكي مع موظف", "human"],
+  ["ar", "قديش سعر الدورة؟", "question"],
+];
+
+for (const [id, said, intent] of INTENTS) {
+  test(`${id}: "${said}" is ${intent}`, () => {
+    assert.equal(detectIntentHeuristic(said, id === "he" ? undefined : locale(id)), intent);
+  });
+}
+
+test("a language reads only its own intent phrases", () => {
+  assert.equal(detectIntentHeuristic("כמה זה עולה?", locale("en")), "answer");
+  assert.equal(detectIntentHeuristic("how much is it?"), "answer");
+});
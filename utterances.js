@@ -0,0 +1,142 @@
+// utterances.js
+// What a caller's reply means: yes / no, "not interested", and whether it answers the bot at all (a question,
+// "say that again", "get me a person"), per locale. Kept apart from server.js so it can be tested on its own.
+const { normalizeText } = require("./spoken-digits");
+
+const HEB_YES_WORDS = ["כן", "בטח", "בסדר", "אוקיי", "אוקי", "ok", "okay", "yes", "נכון", "מאשר", "מאשרת", "סבבה", "יאללה"];
+const HEB_NO_WORDS = ["לא", "no"];
+const HEB_STRONG_NO_PHRASES = ["לא רוצה", "לא מעוניין", "לא מעוניינת", "ממש לא"];
+const HEB_REFUSAL_PHRASES = ["לא רוצה", "לא מעוניין", "לא מעוניינת"];
+// refusals only when they are the whole utterance
+const HEB_REFUSAL_WORDS = ["ביי", "להתראות", "עזוב", "עזבי"];
+
+const HEB_HUMAN_PHRASES = [
+  "נציג", "נציגה", "בן אדם", "אדם אמיתי", "מוקדן", "מוקדנית", "לדבר עם מישהו", "לדבר עם מישהי",
+  "תעבירו אותי", "תעביר אותי", "תעבירי אותי", "representative", "human", "agent",
+];
+const HEB_REPEAT_PHRASES = [
+  "מה", "סליחה", "לא הבנתי", "לא שמעתי", "אפשר לחזור", "אפשר שוב", "עוד פעם", "שוב",
+  "תחזור", "תחזרי", "תחזרו", "מה אמרת", "מה אמרתם", "מה אמרת לי",
+];
+// "מה? לא שמעתי", "סליחה, אפשר שוב" — a lead word before a repeat phrase is still a repeat request
+const HEB_REPEAT_LEADS = ["מה", "סליחה", "רגע"];
+const HEB_QUESTION_WORDS = [
+  "מי", "מה", "כמה", "איפה", "מתי", "למה", "מדוע", "איך", "האם", "איזה", "איזו", "אילו", "מאיפה", "לאן", "כמה זמן",
+];
+const HEB_QUESTION_OPENERS = ["יש לכם", "אפשר לדעת", "רציתי לשאול", "אני רוצה לשאול", "שאלה"];
+// "מה שנוח לכם" is an answer, not a question
+const HEB_ANSWER_OPENERS = ["מה ש"];
+
+// The reply vocabulary of a locale (server.js builds the other languages from locales/*.json)
+const HEBREW_REPLY_WORDS = {
+  yes: new Set(HEB_YES_WORDS),
+  no: new Set(HEB_NO_WORDS),
+  strongNo: HEB_STRONG_NO_PHRASES,
+  strongNoExact: new Set(["עזוב", "עזבי"]),
+  refusal: HEB_REFUSAL_PHRASES,
+  refusalExact: new Set(HEB_REFUSAL_WORDS),
+  humanPhrases: HEB_HUMAN_PHRASES,
+  repeatPhrases: new Set(HEB_REPEAT_PHRASES),
+  repeatLeads: new Set(HEB_REPEAT_LEADS),
+  questionWords: HEB_QUESTION_WORDS,
+  questionOpeners: HEB_QUESTION_OPENERS,
+  answerOpeners: HEB_ANSWER_OPENERS,
+  prefixLetters: "והלבש", // "לנציג", "והנציג"
+  conjunction: "ו",
+};
+
+// Same shape from a locales/*.json file
+function replyWordsFromLocale(raw) {
+  const words = (v) => (Array.isArray(v) ? v.map(normalizeText).filter(Boolean) : []);
+  return {
+    yes: new Set(words(raw.yes)),
+    no: new Set(words(raw.no)),
+    strongNo: words(raw.strongNo),
+    strongNoExact: new Set(),
+    refusal: words(raw.refusal),
+    refusalExact: new Set(words(raw.refusalExact)),
+    humanPhrases: words(raw.human),
+    repeatPhrases: new Set(words(raw.repeatRequest)),
+    repeatLeads: new Set(words(raw.repeatLeads)),
+    questionWords: words(raw.questionWords),
+    questionOpeners: words(raw.questionOpeners),
+    answerOpeners: words(raw.answerOpeners),
+    prefixLetters: "",
+    conjunction: normalizeText(raw.conjunction),
+  };
+}
+
+function detectYesNo(s, locale = HEBREW_REPLY_WORDS) {
+  const raw = String(s || "").trim();
+  if (!raw) return null;
+  const t = normalizeText(raw);
+  if (!t) return null;
+  const tokens = t.split(" ").filter(Boolean);
+
+  const hasYes = tokens.some((w) => locale.yes.has(w));
+  const hasNo = tokens.some((w) => locale.no.has(w));
+
+  const hasStrongNo = locale.strongNo.some((p) => t.includes(p)) || locale.strongNoExact.has(t);
+
+  const short = tokens.length <= 6;
+
+  if (hasStrongNo) return "no";
+  if (hasNo && short) return "no";
+  if (hasYes) return "yes";
+  return null;
+}
+
+function isRefusal(text, locale = HEBREW_REPLY_WORDS) {
+  const t = normalizeText(text);
+  return locale.refusal.some((p) => t.includes(p)) || locale.refusalExact.has(t);
+}
+
+// A refusal ends the call, except at the recording question: there "לא רוצה שיקליטו" only declines the
+// recording, and the consent step's "no" carries on without it.
+function refusalEndsCall(text, locale, flow, stepId) {
+  if (stepId && stepId === flow?.recording?.consentStep) return false;
+  return isRefusal(text, locale);
+}
+
+// Whole-word phrase match on normalized text; words may carry one or two of the locale's prefix letters.
+function hasPhrase(t, phrase, prefixLetters = "") {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const prefix = prefixLetters ? `[${prefixLetters}]{0,2}` : "";
+  return new RegExp(`(?:^|\\s)${prefix}${escaped}(?=\\s|$)`, "u").test(t);
+}
+
+function startsWithPhrase(t, phrase) {
+  return t === phrase || t.startsWith(`${phrase} `);
+}
+
+function isRepeatRequest(t, locale) {
+  if (locale.repeatPhrases.has(t)) return true;
+  const [lead, ...rest] = t.split(" ");
+  const tail = rest.join(" ");
+  return locale.repeatLeads.has(lead) && [...locale.repeatPhrases].some((p) => startsWithPhrase(tail, p));
+}
+
+// answer | question | human | repeat, from the locale's phrases; server.js may ask the LLM instead
+function detectIntentHeuristic(text, locale = HEBREW_REPLY_WORDS) {
+  const t = normalizeText(text);
+  if (!t) return "answer";
+  if (isRepeatRequest(t, locale)) return "repeat";
+  if (locale.humanPhrases.some((p) => hasPhrase(t, p, locale.prefixLetters))) return "human";
+
+  const and = locale.conjunction;
+  const bare = and && t.startsWith(and) && /^\S{3,}/.test(t) ? t.slice(and.length) : t; // "וכמה", "ומה"
+  if (locale.answerOpeners.some((p) => bare.startsWith(p))) return "answer";
+  if (locale.questionWords.some((p) => startsWithPhrase(bare, p)) || locale.questionOpeners.some((p) => startsWithPhrase(t, p))) {
+    return "question";
+  }
+  return "answer";
+}
+
+module.exports = {
+  HEBREW_REPLY_WORDS,
+  replyWordsFromLocale,
+  detectYesNo,
+  isRefusal,
+  refusalEndsCall,
+  detectIntentHeuristic,
+};